@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// bin/cost-report.js - Print a cost report from costs-history.json (no server needed)
+// Usage: npm run costs -- [--from 2025-01] [--to 2025-03] [--group-by day|month|model|project] [--format table|csv|json]
+import { parseArgs } from 'util';
+import { readCostHistory, COSTS_FILE } from '../src/cost-history.js';
+import { buildCostReport, formatCsv, formatTable, GROUP_BY } from '../src/cost-report.js';
+
+const FORMATS = ['table', 'csv', 'json'];
+
+function usage() {
+  return [
+    'Usage: npm run costs -- [options]',
+    '',
+    '  --from <YYYY-MM[-DD]>   First day or month (default: earliest recorded)',
+    '  --to <YYYY-MM[-DD]>     Last day or month (default: latest recorded)',
+    `  --group-by <kind>       ${GROUP_BY.join(' | ')} (default: month)`,
+    `  --format <format>       ${FORMATS.join(' | ')} (default: table)`,
+    '',
+    `Reads ${COSTS_FILE}`,
+  ].join('\n');
+}
+
+let options;
+try {
+  ({ values: options } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'group-by': { type: 'string', default: 'month' },
+      format: { type: 'string', default: 'table' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  }));
+} catch (err) {
+  console.error(`${err.message}\n\n${usage()}`);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(usage());
+  process.exit(0);
+}
+
+if (!FORMATS.includes(options.format)) {
+  console.error(`--format must be one of ${FORMATS.join(', ')}\n\n${usage()}`);
+  process.exit(1);
+}
+
+try {
+  // Read-only: the proxy may be running and owns the history files
+  const report = buildCostReport(readCostHistory(), {
+    from: options.from,
+    to: options.to,
+    groupBy: options['group-by'],
+  });
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    process.stdout.write(options.format === 'csv' ? formatCsv(report) : formatTable(report));
+  }
+} catch (err) {
+  console.error(`${err.message}\n\n${usage()}`);
+  process.exit(1);
+}
@@ -49,6 +49,8 @@ fi
 COST=$(echo "$COSTS" | jq -r '.formattedCost // "$0.0000"')
 MONTHLY_COST=$(echo "$COSTS" | jq -r '.monthly.formattedCost // "$0.00"')
 MONTH=$(echo "$COSTS" | jq -r '.monthly.month // "Month"')
+# Budget: ⛔ when a hard cap blocks requests, ⚠️ once a soft cap is reached
+BUDGET=$(echo "$COSTS" | jq -r 'if .budget.exceeded then " | ⛔ \(.budget.exceeded.period) budget" elif (.budget.warnings // [] | length) > 0 then " | ⚠️ budget" else "" end' 2>/dev/null)
 
 CONTEXT_SIZE=$(echo "$input" | jq -r '.context_window.context_window_size // 200000' 2>/dev/null)
 INPUT_TOKENS=$(echo "$input" | jq -r '.context_window.current_usage.input_tokens // 0' 2>/dev/null)
@@ -89,7 +91,7 @@ else
     CTX="🔴 ${PERCENT}%"
 fi
 
-echo "${PROXY_HEALTH} ${SESSION_STATUS} | ${MODEL} | 💰 ${COST} | 📅 ${MONTHLY_COST} ${MONTH} | ${CTX} ctx"
+echo "${PROXY_HEALTH} ${SESSION_STATUS} | ${MODEL} | 💰 ${COST} | 📅 ${MONTHLY_COST} ${MONTH} | ${CTX} ctx${BUDGET}"
 EOF
 
 chmod +x ~/.claude/statusline.sh
@@ -0,0 +1,61 @@
+// src/anthropic-headers.js - anthropic-version / anthropic-beta passthrough to Vertex AI
+// Only betas known to work on Vertex AI are forwarded; anything else is rejected
+// with a clear error instead of being silently dropped or failing upstream
+
+// Betas Vertex AI accepts (extend via VERTEX_SUPPORTED_BETAS=beta-a,beta-b)
+const SUPPORTED_BETAS = new Set([
+  'context-1m-2025-08-07',                  // 1M token context window
+  'interleaved-thinking-2025-05-14',        // Thinking between tool calls
+  'token-efficient-tools-2025-02-19',       // Cheaper tool use encoding
+  'fine-grained-tool-streaming-2025-05-14', // Stream tool input without buffering
+  'context-management-2025-06-27',          // Context editing
+  'output-128k-2025-02-19',                 // Extended output length
+  'computer-use-2025-01-24',                // Computer use tools
+  ...(process.env.VERTEX_SUPPORTED_BETAS || '').split(',').map(b => b.trim()).filter(Boolean),
+]);
+
+// Betas that only mean something to Anthropic's first-party API (Claude Code sends
+// them on every request). Dropped before forwarding - Vertex AI doesn't need them.
+const CLIENT_ONLY_BETAS = new Set([
+  'claude-code-20250219',
+  'oauth-2025-04-20',
+]);
+
+/**
+ * Build the headers to forward to Vertex AI from an incoming request
+ * @param {object} req - Express request
+ * @returns {object} { headers, unsupportedBetas } - reject the request if unsupportedBetas is non-empty
+ */
+export function getUpstreamHeaders(req) {
+  const headers = {};
+
+  const version = req.get('anthropic-version');
+  if (version) {
+    headers['anthropic-version'] = version;
+  }
+
+  // anthropic-beta may be comma-separated and/or repeated
+  const requested = (req.get('anthropic-beta') || '')
+    .split(',')
+    .map(beta => beta.trim())
+    .filter(Boolean);
+
+  const forwarded = requested.filter(beta => SUPPORTED_BETAS.has(beta));
+  const unsupportedBetas = requested.filter(beta => !SUPPORTED_BETAS.has(beta) && !CLIENT_ONLY_BETAS.has(beta));
+
+  if (forwarded.length > 0) {
+    headers['anthropic-beta'] = [...new Set(forwarded)].join(',');
+  }
+
+  return { headers, unsupportedBetas };
+}
+
+/**
+ * Error message for a request using unsupported betas (sent as invalid_request_error)
+ * @param {string[]} betas - Unsupported beta names
+ */
+export function describeUnsupportedBetas(betas) {
+  return `Unsupported anthropic-beta value(s) for Vertex AI: ${betas.join(', ')}. ` +
+         `Supported: ${[...SUPPORTED_BETAS].join(', ')}. ` +
+         `Add more via VERTEX_SUPPORTED_BETAS if Vertex AI supports them.`;
+}
@@ -0,0 +1,211 @@
+// src/approvals.js - Approval workflow for expensive requests and policy-gated tool calls
+// Requests awaiting approval sit in a pending queue; any channel can settle them:
+// HTTP (GET /approvals, POST /approvals/:id), a terminal prompt, or a macOS dialog.
+// Everything is async - other requests keep flowing while one waits.
+import { execFile } from 'child_process';
+import { randomUUID } from 'crypto';
+import readline from 'readline';
+import { getConfig } from './config.js';
+
+// Channels besides HTTP (always on): dialog (macOS), notify (desktop notification), terminal
+// Default: dialog on macOS, desktop notification + terminal prompt elsewhere; empty = HTTP only
+const DEFAULT_CHANNELS = process.platform === 'darwin' ? ['dialog'] : ['notify', 'terminal'];
+
+function getChannels() {
+  return new Set(getConfig().approvals.channels ?? DEFAULT_CHANNELS);
+}
+
+// id → { id, details, createdAt, expiresAt, settle, controller }
+const pending = new Map();
+
+// Terminal prompts are asked one at a time
+let terminalQueue = Promise.resolve();
+
+// Tool arguments as one short line
+function summarizeInput(input) {
+  const json = JSON.stringify(input ?? {});
+  return json.length > 200 ? `${json.slice(0, 200)}…` : json;
+}
+
+// Multi-line summary shown by every channel
+function describe(approval) {
+  const { estimate, tool } = approval.details;
+  if (tool) {
+    return [
+      `Tool: ${tool.name}`,
+      ...(tool.reason ? [`Policy: ${tool.reason}`] : []),
+      ``,
+      `Input: ${summarizeInput(tool.input)}`,
+    ];
+  }
+  return [
+    `Estimated cost: $${estimate.totalEstimate.toFixed(2)}`,
+    `Threshold: $${estimate.threshold.toFixed(2)}`,
+    ``,
+    `Input: ~${estimate.estimatedInputTokens.toLocaleString()} tokens ($${estimate.inputCost.toFixed(3)})`,
+    `Output: ~${estimate.estimatedOutputTokens.toLocaleString()} tokens ($${estimate.outputCost.toFixed(3)})`,
+    `Model: ${estimate.model}`,
+  ];
+}
+
+// Run a command without blocking the event loop; resolves with stdout, or null on failure
+function run(command, args, options = {}) {
+  return new Promise((resolve) => {
+    execFile(command, args, { encoding: 'utf-8', ...options }, (err, stdout) => {
+      if (err?.code === 'ENOENT') {
+        console.warn(`[Approval] ${command} not found - channel unavailable`);
+      }
+      resolve(err ? null : stdout);
+    });
+  });
+}
+
+// macOS dialog with Block / Continue buttons
+async function askDialog(approval, signal) {
+  // Quotes and backslashes (e.g. in tool input JSON) would end the AppleScript string
+  const message = describe(approval).map(line => line.replace(/["\\]/g, '\\$&')).join('\\n');
+  const title = approval.details.tool ? '⚠️ Tool Call' : '⚠️ Expensive Request';
+  const script = `display dialog "${message}" ` +
+    `with title "${title}" ` +
+    `buttons {"Block", "Continue"} ` +
+    `default button "Continue" ` +
+    `with icon caution`;
+
+  const result = await run('osascript', ['-e', script], { signal, timeout: approval.expiresAt - Date.now() });
+  // Closed dialog / Block / killed because another channel answered
+  if (result === null) {
+    if (!signal.aborted) settleApproval(approval.id, false, 'dialog');
+    return;
+  }
+  settleApproval(approval.id, result.includes('Continue'), 'dialog');
+}
+
+// Desktop notification pointing at the HTTP endpoint (informational only)
+function notify(approval) {
+  const { estimate, tool } = approval.details;
+  const title = tool ? 'Claude tool call awaiting approval' : 'Expensive Claude request awaiting approval';
+  const body = `${tool ? tool.name : `$${estimate.totalEstimate.toFixed(2)}`} - approve with POST /approvals/${approval.id}`;
+
+  if (process.platform === 'darwin') {
+    run('osascript', ['-e', `display notification "${body}" with title "${title}"`]);
+  } else if (process.platform === 'linux') {
+    run('notify-send', ['--urgency=critical', title, body]);
+  } else if (process.platform === 'win32') {
+    run('powershell', ['-NoProfile', '-Command',
+      `[System.Reflection.Assembly]::LoadWithPartialName('System.Windows.Forms') | Out-Null; ` +
+      `(New-Object System.Windows.Forms.NotifyIcon -Property @{Icon=[System.Drawing.SystemIcons]::Warning; Visible=$true}).ShowBalloonTip(10000, '${title}', '${body}', 'Warning')`]);
+  }
+}
+
+// y/N prompt on the proxy's own terminal (only when it's attached to one)
+function askTerminal(approval, signal) {
+  if (!process.stdin.isTTY) return;
+
+  terminalQueue = terminalQueue.then(() => new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const question = approval.details.tool ? 'Allow this tool call?' : 'Allow this request?';
+    const prompt = `\n[Approval] ${approval.id}\n  ${describe(approval).join('\n  ')}\n${question} [y/N] `;
+
+    rl.question(prompt, { signal }, (answer) => {
+      settleApproval(approval.id, /^y(es)?$/i.test(answer.trim()), 'terminal');
+    });
+    // Answered here, elsewhere, or timed out - release the terminal for the next prompt
+    signal.addEventListener('abort', () => rl.close(), { once: true });
+    rl.on('close', resolve);
+  }));
+}
+
+/**
+ * Queue a request for approval and notify the configured channels
+ * Resolves once any channel answers, approvals.timeoutMs passes, or the caller aborts.
+ * @param {object} details
+ * @param {string} details.requestId - Proxy request ID (X-Request-ID)
+ * @param {object} [details.estimate] - Result of estimateCost() (expensive request)
+ * @param {object} [details.tool] - { name, input, reason } (tool call needing approval by policy)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting (e.g. client disconnected) denies the request
+ * @returns {Promise<{approved: boolean, by: string}>} by: http, terminal, dialog, timeout, cancelled
+ */
+export function requestApproval(details, { signal } = {}) {
+  return new Promise((resolve) => {
+    const now = Date.now();
+    const timeoutMs = getConfig().approvals.timeoutMs;
+    const approval = {
+      id: randomUUID(),
+      details,
+      createdAt: now,
+      expiresAt: now + timeoutMs,
+      controller: new AbortController(),
+    };
+
+    const timer = setTimeout(() => settleApproval(approval.id, false, 'timeout'), timeoutMs);
+    const onCallerAbort = () => settleApproval(approval.id, false, 'cancelled');
+    signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    approval.settle = (approved, by) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCallerAbort);
+      approval.controller.abort();  // Dismiss the other channels
+      resolve({ approved, by });
+    };
+    pending.set(approval.id, approval);
+
+    const subject = details.tool ? details.tool.name : `$${details.estimate.totalEstimate.toFixed(2)}`;
+    console.log(`[Approval] ${approval.id} pending - ${subject} (approve: POST /approvals/${approval.id})`);
+
+    const channelSignal = approval.controller.signal;
+    const channels = getChannels();
+    if (channels.has('dialog') && process.platform === 'darwin') askDialog(approval, channelSignal);
+    if (channels.has('notify')) notify(approval);
+    if (channels.has('terminal')) askTerminal(approval, channelSignal);
+  });
+}
+
+/**
+ * Approve or deny a pending request
+ * @param {string} id - Approval ID
+ * @param {boolean} approved
+ * @param {string} [by='http'] - Channel that answered (for logging)
+ * @returns {boolean} false if no such approval is pending
+ */
+export function settleApproval(id, approved, by = 'http') {
+  const approval = pending.get(id);
+  if (!approval) return false;
+
+  pending.delete(id);
+  console.log(`[Approval] ${id} ${approved ? 'approved' : 'denied'} (${by})`);
+  approval.settle(approved, by);
+  return true;
+}
+
+/**
+ * List approvals that are still waiting for an answer (oldest first)
+ */
+export function listPendingApprovals() {
+  return [...pending.values()].map(({ id, details, createdAt, expiresAt }) => ({
+    id,
+    kind: details.tool ? 'tool' : 'cost',
+    requestId: details.requestId,
+    ...(details.tool
+      ? {
+          tool: details.tool.name,
+          input: details.tool.input,
+          reason: details.tool.reason,
+        }
+      : {
+          model: details.estimate.model,
+          estimatedCost: details.estimate.totalEstimate,
+          threshold: details.estimate.threshold,
+          estimatedInputTokens: details.estimate.estimatedInputTokens,
+          estimatedOutputTokens: details.estimate.estimatedOutputTokens,
+        }),
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+  }));
+}
+
+export function getApprovalChannels() {
+  return ['http', ...getChannels()];
+}
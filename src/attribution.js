@@ -0,0 +1,63 @@
+// src/attribution.js - Who and what a request's cost is attributed to
+// Project: x-project header, or the working directory Claude Code puts in its system prompt
+// User: x-user-id header, pseudonymized (never stored in the clear)
+import { createHmac, randomBytes } from 'crypto';
+import path from 'path';
+
+const MAX_PROJECT_LENGTH = 64;
+
+// Key for user ID hashes. A plain hash of an email address is reversed by hashing a list of
+// candidate addresses; without the key that's not possible. Unset: a random key, so the same
+// user gets a new ID after every restart.
+const USER_ID_SECRET = process.env.USER_ID_HASH_SECRET || randomBytes(32);
+if (!process.env.USER_ID_HASH_SECRET) {
+  console.warn('[Attribution] USER_ID_HASH_SECRET not set - user IDs are hashed with a random key and change on restart');
+}
+
+// Claude Code's system prompt <env> block: "Working directory: /Users/me/projects/my-repo"
+const WORKING_DIRECTORY_PATTERN = /^Working directory: *(.+)$/m;
+
+/**
+ * Helper: Hash user ID for privacy
+ * Returns pseudonymized user identifier safe for analytics: an HMAC-SHA-256 with
+ * USER_ID_HASH_SECRET, so the ID can't be read back (not even by guessing emails without the
+ * key) and IDs with a common prefix stay distinct
+ */
+export function hashUserId(userId) {
+  if (!userId || userId === 'unknown') {
+    return 'unknown';
+  }
+  return `user_${createHmac('sha256', USER_ID_SECRET).update(userId).digest('hex').slice(0, 16)}`;
+}
+
+// Working directory hint from the system prompt (string or text blocks)
+function findWorkingDirectory(system) {
+  const texts = typeof system === 'string'
+    ? [system]
+    : (Array.isArray(system) ? system.filter(block => block.type === 'text').map(block => block.text || '') : []);
+
+  for (const text of texts) {
+    const match = text.match(WORKING_DIRECTORY_PATTERN);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+// Only the last path segment is kept - full paths can contain usernames
+function normalizeProject(name) {
+  const project = path.basename(name.trim().replace(/[\\/]+$/, '').replace(/\\/g, '/'));
+  return project ? project.slice(0, MAX_PROJECT_LENGTH) : null;
+}
+
+/**
+ * Work out the project and user to attribute a request's cost to
+ * @param {object} req - Express request
+ * @returns {{project: string, user: string}} 'unknown' when there's no hint
+ */
+export function getAttribution(req) {
+  const hint = req.get('x-project') || findWorkingDirectory(req.body?.system);
+  return {
+    project: (hint && normalizeProject(hint)) || 'unknown',
+    user: hashUserId(req.get('x-user-id') || 'unknown'),
+  };
+}
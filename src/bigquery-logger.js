@@ -39,6 +39,11 @@ const TABLE_SCHEMA = [
   { name: 'response_time_ms', type: 'INTEGER', mode: 'NULLABLE' },
   { name: 'user_context', type: 'STRING', mode: 'NULLABLE' },
   { name: 'insertion_timestamp', type: 'TIMESTAMP', mode: 'NULLABLE' },
+  { name: 'cancelled', type: 'BOOLEAN', mode: 'NULLABLE' },
+  { name: 'project', type: 'STRING', mode: 'NULLABLE' },
+  { name: 'actual_cache_write_tokens', type: 'INTEGER', mode: 'NULLABLE' },
+  { name: 'actual_cache_read_tokens', type: 'INTEGER', mode: 'NULLABLE' },
+  { name: 'pricing_version', type: 'INTEGER', mode: 'NULLABLE' },
 ];
 
 /**
@@ -103,6 +108,7 @@ export async function initBigQuery() {
     } catch (err) {
       if (err.code === 409 || err.message.includes('Already exists')) {
         console.log(`[BigQuery] Table already exists: ${datasetId}.${tableId}`);
+        await addMissingColumns(logsTable);
       } else {
         throw err;
       }
@@ -117,6 +123,22 @@ export async function initBigQuery() {
   }
 }
 
+/**
+ * Add schema fields introduced after the table was created (e.g. cancelled, project)
+ * BigQuery rejects inserts with unknown fields, so existing tables must be migrated.
+ * Only NULLABLE columns are added - that's the only schema change BigQuery allows in place.
+ */
+async function addMissingColumns(table) {
+  const [metadata] = await table.getMetadata();
+  const existing = new Set((metadata.schema?.fields || []).map(field => field.name));
+  const missing = TABLE_SCHEMA.filter(field => !existing.has(field.name));
+
+  if (missing.length === 0) return;
+
+  await table.setMetadata({ schema: { fields: [...metadata.schema.fields, ...missing] } });
+  console.log(`[BigQuery] Added columns: ${missing.map(field => field.name).join(', ')}`);
+}
+
 /**
  * Check if BigQuery is initialized and ready
  */
@@ -261,5 +283,10 @@ export function formatMetadata(data) {
     response_time_ms: data.response_time_ms ? parseInt(data.response_time_ms) : null,
     user_context: data.user_context ? String(data.user_context) : null,
     insertion_timestamp: new Date(),
+    cancelled: data.cancelled === true,
+    project: data.project ? String(data.project) : null,
+    actual_cache_write_tokens: data.actual_cache_write_tokens ? parseInt(data.actual_cache_write_tokens) : null,
+    actual_cache_read_tokens: data.actual_cache_read_tokens ? parseInt(data.actual_cache_read_tokens) : null,
+    pricing_version: data.pricing_version ? parseInt(data.pricing_version) : null,
   };
 }
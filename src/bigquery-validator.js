@@ -2,16 +2,14 @@
  * BigQuery Query Validator
  *
  * Estimates query scan size BEFORE execution and blocks expensive queries.
- * Prevents runaway queries that would scan >10GB of data.
+ * Prevents runaway queries that would scan more than bigquery.scanLimitGb (default 10GB).
  *
  * Uses BigQuery EXPLAIN (dry run) to estimate bytes scanned without execution cost.
  */
 
 import { BigQuery } from '@google-cloud/bigquery';
 import { createHash } from 'crypto';
-
-const SCAN_LIMIT_GB = parseInt(process.env.BIGQUERY_SCAN_LIMIT_GB || '10');
-const SCAN_LIMIT_BYTES = SCAN_LIMIT_GB * 1024 * 1024 * 1024;
+import { getConfig } from './config.js';
 
 let client = null;
 let validatorInitialized = false;
@@ -80,18 +78,19 @@ export async function estimateQueryScan(sql) {
     const estimatedGB = bytesScanned / (1024 * 1024 * 1024);
 
     // Determine if query is approved
-    const approved = bytesScanned <= SCAN_LIMIT_BYTES;
+    const scanLimitGB = getScanLimit();
+    const approved = bytesScanned <= scanLimitGB * 1024 * 1024 * 1024;
     const reason = approved ? 'within_limit' : 'exceeds_limit';
 
     return {
       bytesScanned,
       estimatedGB: parseFloat(estimatedGB.toFixed(2)),
-      scanLimitGB: SCAN_LIMIT_GB,
+      scanLimitGB,
       approved,
       reason,
       message: approved
-        ? `Query approved: scans ${estimatedGB.toFixed(2)}GB (limit: ${SCAN_LIMIT_GB}GB)`
-        : `Query blocked: would scan ${estimatedGB.toFixed(2)}GB (limit: ${SCAN_LIMIT_GB}GB)`,
+        ? `Query approved: scans ${estimatedGB.toFixed(2)}GB (limit: ${scanLimitGB}GB)`
+        : `Query blocked: would scan ${estimatedGB.toFixed(2)}GB (limit: ${scanLimitGB}GB)`,
     };
   } catch (err) {
     // If dry run fails, it might be a syntax error or other issue
@@ -122,7 +121,7 @@ export function isValidatorReady() {
  * @returns {number}
  */
 export function getScanLimit() {
-  return SCAN_LIMIT_GB;
+  return getConfig().bigquery.scanLimitGb;
 }
 
 /**
@@ -0,0 +1,474 @@
+// src/config.js - Proxy configuration (config.default.yaml + config.yaml + env)
+// Defaults live in config.default.yaml; config.yaml / config.yml / config.json (or the file in
+// PROXY_CONFIG) is merged on top, then environment variables override single settings.
+// The result is validated as a whole. Invalid config stops the proxy at startup; an invalid
+// reload is reported and the running config kept.
+//
+// Modules read settings with getConfig() and rebuild derived state in onConfigChange().
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+const DEFAULTS_FILE = path.join(ROOT, 'config.default.yaml');
+const USER_FILES = process.env.PROXY_CONFIG
+  ? [path.resolve(process.env.PROXY_CONFIG)]
+  : ['config.yaml', 'config.yml', 'config.json'].map(name => path.join(ROOT, name));
+
+const WATCH_INTERVAL_MS = 1_000;
+
+// --- Schema ---
+// object: properties (fixed keys) or values (map), required; array: items; number: min, integer;
+// string: enum, format (date, regex); any node: nullable, check(value) → error message
+
+const positiveInt = { type: 'number', integer: true, min: 1 };
+const windowLimits = {
+  type: 'object',
+  properties: { minute: positiveInt, hour: positiveInt, day: positiveInt },
+};
+const budgetCap = { type: 'number', min: 0, nullable: true };
+const budgetPeriod = { type: 'object', properties: { soft: budgetCap, hard: budgetCap } };
+const price = { type: 'number', min: 0 };
+
+// Enum values for the modules that act on them. They live here rather than in those modules:
+// each of them reads the config at import, so config.js importing them back would be circular.
+// tool-policy.js: what to do with a matching tool call
+export const POLICY_ACTIONS = ['allow', 'deny', 'approve'];
+// loop-detector.js - warn: log it, notice: also tell Claude (system prompt), halt: refuse the request
+export const LOOP_ACTIONS = ['warn', 'notice', 'halt'];
+// rate-limiter.js - block: refuse (429) any request whose conversation used an over-limit tool,
+// soft: keep the conversation going, only take over-limit tools away from Claude
+export const ENFORCEMENT_MODES = ['soft', 'block'];
+// pii.js - strict: only redact IDs whose check digit is right, aggressive: every regex match
+export const VALIDATION_MODES = ['strict', 'aggressive'];
+
+const SCHEMA = {
+  type: 'object',
+  required: ['costs', 'approvals', 'models', 'pricing', 'rateLimits', 'toolPolicies', 'loops', 'pii', 'bigquery'],
+  properties: {
+    version: { type: 'number' },
+    costs: {
+      type: 'object',
+      required: ['threshold'],
+      properties: {
+        threshold: { type: 'number', min: 0 },
+        budgets: { type: 'object', properties: { daily: budgetPeriod, monthly: budgetPeriod } },
+      },
+    },
+    approvals: {
+      type: 'object',
+      required: ['timeoutMs'],
+      properties: {
+        timeoutMs: { type: 'number', integer: true, min: 1000 },
+        channels: { type: 'array', nullable: true, items: { type: 'string', enum: ['dialog', 'notify', 'terminal'] } },
+      },
+    },
+    models: {
+      type: 'object',
+      required: ['map'],
+      properties: {
+        map: { type: 'object', values: { type: 'string' } },
+        displayNames: { type: 'object', values: { type: 'string' } },
+      },
+    },
+    pricing: {
+      type: 'object',
+      required: ['default', 'models'],
+      properties: {
+        version: { type: 'number' },
+        region: { type: 'string' },
+        currency: { type: 'string' },
+        note: { type: 'string' },
+        default: { type: 'string' },
+        models: {
+          type: 'object',
+          values: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['effective', 'input', 'output', 'cacheWrite', 'cacheRead'],
+              properties: {
+                effective: { type: 'string', format: 'date' },
+                input: price,
+                output: price,
+                cacheWrite: price,
+                cacheRead: price,
+              },
+            },
+          },
+        },
+      },
+      check: pricing => (pricing.models?.[pricing.default] ? null : `default model "${pricing.default}" has no prices`),
+    },
+    rateLimits: {
+      type: 'object',
+      required: ['enforcement', 'default'],
+      properties: {
+        version: { type: 'number' },
+        note: { type: 'string' },
+        enforcement: { type: 'string', enum: ENFORCEMENT_MODES },
+        default: windowLimits,
+        servers: { type: 'object', values: windowLimits },
+        tools: {
+          type: 'object',
+          values: windowLimits,
+          check: tools => {
+            const bad = Object.keys(tools).filter(tool => !/^mcp__[^_]/.test(tool));
+            return bad.length ? `not MCP tool names (mcp__<server>__<tool>): ${bad.join(', ')}` : null;
+          },
+        },
+        exemptTools: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    toolPolicies: {
+      type: 'object',
+      required: ['default'],
+      properties: {
+        version: { type: 'number' },
+        note: { type: 'string' },
+        default: { type: 'string', enum: POLICY_ACTIONS },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['match', 'action'],
+            properties: {
+              match: { type: 'string', minLength: 1 },
+              action: { type: 'string', enum: POLICY_ACTIONS },
+              reason: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    loops: {
+      type: 'object',
+      required: ['threshold', 'action'],
+      properties: {
+        threshold: { type: 'number', integer: true, min: 2 },
+        action: { type: 'string', enum: LOOP_ACTIONS },
+      },
+    },
+    pii: {
+      type: 'object',
+      required: ['validation'],
+      properties: {
+        validation: { type: 'string', enum: VALIDATION_MODES },
+        whitelistedEmailDomains: { type: 'array', items: { type: 'string', minLength: 1 } },
+        tokenPatterns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['pattern'],
+            properties: {
+              pattern: { type: 'string', format: 'regex' },
+              ignoreCase: { type: 'boolean' },
+            },
+          },
+        },
+      },
+    },
+    bigquery: {
+      type: 'object',
+      required: ['scanLimitGb'],
+      properties: {
+        scanLimitGb: { type: 'number', min: 0 },
+      },
+    },
+  },
+};
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'a list' : typeof value;
+}
+
+// Collect every problem (not just the first) so one startup shows them all
+function validate(value, schema, at, errors) {
+  const where = at || '(root)';
+  if (value === null || value === undefined) {
+    if (!schema.nullable && value === null) errors.push(`${where}: must not be null`);
+    return;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${where}: must be a mapping, got ${describeType(value)}`);
+        return;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) errors.push(`${at ? `${at}.` : ''}${key}: is required`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childAt = at ? `${at}.${key}` : key;
+        const childSchema = schema.properties ? schema.properties[key] : schema.values;
+        if (child === null && schema.required?.includes(key)) continue;  // Reported above
+        if (!childSchema) {
+          errors.push(`${childAt}: unknown setting`);
+        } else {
+          validate(child, childSchema, childAt, errors);
+        }
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${where}: must be a list, got ${describeType(value)}`);
+        return;
+      }
+      if (value.length < (schema.minItems || 0)) errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+      value.forEach((item, i) => validate(item, schema.items, `${at}[${i}]`, errors));
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${where}: must be a number, got ${JSON.stringify(value)}`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${where}: must be a whole number, got ${value}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${where}: must be at least ${schema.min}, got ${value}`);
+      }
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${where}: must be a string, got ${describeType(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.join(', ')}, got "${value}"`);
+      } else if (value.length < (schema.minLength || 0)) {
+        errors.push(`${where}: must not be empty`);
+      } else if (schema.format === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value)))) {
+        errors.push(`${where}: must be a date (YYYY-MM-DD), got "${value}"`);
+      } else if (schema.format === 'regex') {
+        try {
+          new RegExp(value);
+        } catch (err) {
+          errors.push(`${where}: invalid regular expression (${err.message})`);
+        }
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${where}: must be true or false, got ${JSON.stringify(value)}`);
+      break;
+  }
+
+  const problem = schema.check?.(value);
+  if (problem) errors.push(`${where}: ${problem}`);
+}
+
+// --- Environment overrides ---
+
+const number = value => (value.trim() === '' ? undefined : Number(value));
+const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+// Unset, empty or 0 means no cap (as before the config file existed)
+const cap = value => (value.trim() === '' || Number(value) === 0 ? null : Number(value));
+const string = value => value.trim() || undefined;
+
+// Env var → [config path, parser]
+const ENV_OVERRIDES = {
+  COST_THRESHOLD: ['costs.threshold', number],
+  BUDGET_DAILY_SOFT: ['costs.budgets.daily.soft', cap],
+  BUDGET_DAILY_HARD: ['costs.budgets.daily.hard', cap],
+  BUDGET_MONTHLY_SOFT: ['costs.budgets.monthly.soft', cap],
+  BUDGET_MONTHLY_HARD: ['costs.budgets.monthly.hard', cap],
+  APPROVAL_TIMEOUT_MS: ['approvals.timeoutMs', number],
+  APPROVAL_CHANNELS: ['approvals.channels', list],
+  RATE_LIMIT_ENFORCEMENT: ['rateLimits.enforcement', string],
+  LOOP_THRESHOLD: ['loops.threshold', number],
+  LOOP_ACTION: ['loops.action', string],
+  PII_VALIDATION: ['pii.validation', string],
+  WHITELISTED_EMAIL_DOMAINS: ['pii.whitelistedEmailDomains', list],
+  BIGQUERY_SCAN_LIMIT_GB: ['bigquery.scanLimitGb', number],
+};
+
+// Env var → config section read from a JSON file (the files these sections used to live in)
+const SECTION_FILES = {
+  PRICING_FILE: 'pricing',
+  RATE_LIMITS_FILE: 'rateLimits',
+  TOOL_POLICY_FILE: 'toolPolicies',
+};
+
+function setPath(config, dotted, value) {
+  const keys = dotted.split('.');
+  let node = config;
+  for (const key of keys.slice(0, -1)) {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    node = node[key];
+  }
+  node[keys.at(-1)] = value;
+}
+
+// --- Loading ---
+
+function isMapping(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Mappings merge key by key, everything else replaces; null removes the key
+function merge(base, override) {
+  if (!isMapping(base) || !isMapping(override)) return override;
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = merge(base[key], value);
+    }
+  }
+  return result;
+}
+
+function readFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  try {
+    const parsed = file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    return parsed ?? {};
+  } catch (err) {
+    throw new ConfigError([`${path.basename(file)}: ${err.message.split('\n')[0]}`]);
+  }
+}
+
+function deepFreeze(value) {
+  if (typeof value === 'object' && value !== null) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Your config file: PROXY_CONFIG (must exist), else the first of config.yaml / .yml / .json
+function getUserFile() {
+  if (process.env.PROXY_CONFIG) return USER_FILES[0];
+  return USER_FILES.find(file => fs.existsSync(file)) || null;
+}
+
+function getSectionFiles() {
+  return Object.keys(SECTION_FILES).filter(name => process.env[name]).map(name => path.resolve(process.env[name]));
+}
+
+/**
+ * Files that make up the config, in merge order
+ */
+export function getConfigFiles() {
+  const userFile = getUserFile();
+  return [DEFAULTS_FILE, ...(userFile ? [userFile] : []), ...getSectionFiles()];
+}
+
+/**
+ * Read, merge and validate the configuration (doesn't apply it)
+ * @returns {object} The validated, frozen config
+ * @throws {ConfigError} With every problem found
+ */
+export function loadConfig() {
+  let config = readFile(DEFAULTS_FILE);
+  const userFile = getUserFile();
+  if (userFile) {
+    if (!fs.existsSync(userFile)) throw new ConfigError([`${userFile}: file not found (PROXY_CONFIG)`]);
+    config = merge(config, readFile(userFile));
+  }
+  config = structuredClone(config);
+
+  for (const [name, section] of Object.entries(SECTION_FILES)) {
+    if (process.env[name]) config[section] = readFile(process.env[name]);
+  }
+
+  const errors = [];
+  for (const [name, [dotted, parse]] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[name] === undefined) continue;
+    const value = parse(process.env[name]);
+    if (value === undefined) continue;
+    if (typeof value === 'number' && Number.isNaN(value)) {
+      errors.push(`${name}: must be a number, got "${process.env[name]}"`);
+      continue;
+    }
+    setPath(config, dotted, value);
+  }
+
+  validate(config, SCHEMA, '', errors);
+  if (errors.length > 0) throw new ConfigError(errors);
+  return deepFreeze(config);
+}
+
+let current;
+try {
+  current = loadConfig();
+  console.log(`[Config] Loaded ${getConfigFiles().map(file => path.basename(file)).join(' + ')}`);
+} catch (err) {
+  // Nothing works without a valid config - say exactly what's wrong and stop
+  console.error(`[Config] ${err.message}`);
+  process.exit(1);
+}
+
+const listeners = [];
+
+/**
+ * Current configuration (read-only)
+ */
+export function getConfig() {
+  return current;
+}
+
+/**
+ * Run a function with the new config after each successful reload
+ * @param {function(object): void} listener
+ */
+export function onConfigChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Reload the configuration; keeps the running config if the new one is invalid
+ * @returns {object} { reloaded: true, files } or { reloaded: false, errors }
+ */
+export function reloadConfig() {
+  let next;
+  try {
+    next = loadConfig();
+  } catch (err) {
+    const errors = err instanceof ConfigError ? err.errors : [err.message];
+    console.error(`[Config] Reload failed - keeping current config:\n  ${errors.join('\n  ')}`);
+    return { reloaded: false, errors };
+  }
+
+  current = next;
+  for (const listener of listeners) {
+    try {
+      listener(current);
+    } catch (err) {
+      console.error('[Config] Failed to apply new config:', err.message);
+    }
+  }
+  const files = getConfigFiles();
+  console.log(`[Config] Reloaded ${files.map(file => path.basename(file)).join(' + ')}`);
+  return { reloaded: true, files };
+}
+
+/**
+ * Reload whenever one of the config files changes, is created or removed
+ * (polls, so editors that replace files work)
+ */
+export function watchConfig() {
+  let timer = null;
+  for (const file of [DEFAULTS_FILE, ...USER_FILES, ...getSectionFiles()]) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (stat, previous) => {
+      if (stat.mtimeMs === previous.mtimeMs) return;
+      // Editors often write in several steps - reload once they're done
+      clearTimeout(timer);
+      timer = setTimeout(reloadConfig, 200);
+    }).unref();
+  }
+}
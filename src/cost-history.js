@@ -0,0 +1,395 @@
+// src/cost-history.js - Persistent cost history
+// Snapshot (costs-history.json) + append-only journal (costs-history.journal, one JSON record
+// per line). Requests only update memory; records are flushed to the journal in the background
+// and folded into the snapshot now and then (compaction).
+//
+// Safe across proxy instances and crashes:
+// - journal appends and compaction happen under a lock file (costs-history.lock)
+// - every record gets a sequence number; the snapshot stores the last one it contains, so
+//   replaying a journal that wasn't truncated yet never counts a record twice
+// - the snapshot is replaced by atomic rename; the previous snapshot is kept as .bak and the
+//   journal folded into the new one as .journal.prev
+// - a half-written journal line (crash mid-append) is dropped; a corrupt snapshot falls back
+//   to .bak + .journal.prev
+//
+// Snapshot: { version, seq, daily: { 'YYYY-MM-DD': entry }, monthly: { 'YYYY-MM': entry }, budgets }
+// entry: { totalCost, requests, byModel, byRegion, byProject, byUser }
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const COSTS_FILE = process.env.COSTS_HISTORY_FILE || path.join(__dirname, '..', 'costs-history.json');
+const BACKUP_FILE = `${COSTS_FILE}.bak`;
+const JOURNAL_FILE = COSTS_FILE.replace(/\.json$/, '') + '.journal';
+const PREV_JOURNAL_FILE = `${JOURNAL_FILE}.prev`;
+const LOCK_FILE = COSTS_FILE.replace(/\.json$/, '') + '.lock';
+
+const SNAPSHOT_VERSION = 2;
+const FLUSH_DELAY_MS = 200;          // Batch records written within this window
+const SYNC_INTERVAL_MS = 5_000;      // Pick up records written by other instances
+const COMPACT_AFTER_BYTES = 256 * 1024;
+const LOCK_TIMEOUT_MS = 5_000;
+const LOCK_STALE_MS = 30_000;        // A lock this old was left by a crashed process
+
+let base = null;        // Snapshot + journal up to journalOffset
+let journalOffset = 0;  // Bytes of the journal already applied to base
+let snapshotId = null;  // Identity (inode + mtime) of the snapshot base was loaded from
+let pending = [];       // Records of this process not yet in the journal
+let view = null;        // base + pending (cached)
+let flushTimer = null;
+let flushing = null;
+
+// --- Applying records ---
+
+function emptyHistory() {
+  return { version: SNAPSHOT_VERSION, seq: 0, daily: {}, monthly: {} };
+}
+
+// Add a cost to a breakdown such as byRegion / byProject (created on first use - older
+// history entries predate these breakdowns)
+function addToBreakdown(entry, breakdown, key, amount) {
+  entry[breakdown] ??= {};
+  entry[breakdown][key] = (entry[breakdown][key] || 0) + amount;
+}
+
+function addCost(entries, key, record) {
+  entries[key] ??= { totalCost: 0, requests: 0, byModel: {} };
+  const entry = entries[key];
+  entry.totalCost += record.cost;
+  entry.requests += 1;
+  addToBreakdown(entry, 'byModel', record.model, record.cost);
+  addToBreakdown(entry, 'byRegion', record.region || 'unknown', record.cost);
+  addToBreakdown(entry, 'byProject', record.project || 'unknown', record.cost);
+  addToBreakdown(entry, 'byUser', record.user || 'unknown', record.cost);
+}
+
+function applyRecord(history, record) {
+  if (record.type === 'cost') {
+    addCost(history.daily, record.date, record);
+    addCost(history.monthly, record.month, record);
+  } else if (record.type === 'budgets') {
+    // Only caps that are set are kept; null removes the override
+    history.budgets ??= {};
+    for (const [period, levels] of Object.entries(record.changes)) {
+      const caps = { ...history.budgets[period] };
+      for (const [level, amount] of Object.entries(levels || {})) {
+        if (amount === null) {
+          delete caps[level];
+        } else {
+          caps[level] = amount;
+        }
+      }
+      if (Object.keys(caps).length > 0) {
+        history.budgets[period] = caps;
+      } else {
+        delete history.budgets[period];
+      }
+    }
+  }
+  if (record.seq) history.seq = Math.max(history.seq || 0, record.seq);
+}
+
+// --- Reading files ---
+
+function getSnapshotId() {
+  try {
+    const stat = fs.statSync(COSTS_FILE);
+    return `${stat.ino}:${stat.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+function parseSnapshot(file) {
+  const history = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!history || typeof history.daily !== 'object' || typeof history.monthly !== 'object') {
+    throw new Error('not a cost history');
+  }
+  history.seq ??= 0;  // Pre-journal files have no sequence numbers
+  return history;
+}
+
+// Snapshot, falling back to the backup if it's unreadable
+// The backup is one compaction behind - the previous journal brings it up to date.
+// With repair, the corrupt file is kept aside and the recovered snapshot written in its place;
+// without, nothing on disk changes (readers that don't hold the lock)
+function readSnapshot({ repair = true } = {}) {
+  if (!fs.existsSync(COSTS_FILE)) return emptyHistory();
+  try {
+    return parseSnapshot(COSTS_FILE);
+  } catch (err) {
+    if (repair) {
+      const corruptFile = `${COSTS_FILE}.corrupt-${Date.now()}`;
+      console.error(`[Cost] ${path.basename(COSTS_FILE)} is unreadable (${err.message}) - moved to ${path.basename(corruptFile)}`);
+      try {
+        fs.renameSync(COSTS_FILE, corruptFile);
+      } catch {
+        // Another instance may have moved it already
+      }
+    } else {
+      console.error(`[Cost] ${path.basename(COSTS_FILE)} is unreadable (${err.message}) - reading ${path.basename(BACKUP_FILE)} instead`);
+    }
+    try {
+      const history = parseSnapshot(BACKUP_FILE);
+      for (const record of readJournal(PREV_JOURNAL_FILE, 0).records) {
+        if (record.seq > history.seq) applyRecord(history, record);
+      }
+      if (!repair) return history;
+      // Put it back in place so other instances (and the next start) load the same history
+      const tmpFile = `${COSTS_FILE}.tmp-${process.pid}`;
+      fs.writeFileSync(tmpFile, JSON.stringify(history, null, 2));
+      fs.renameSync(tmpFile, COSTS_FILE);
+      console.error(`[Cost] Recovered history from ${path.basename(BACKUP_FILE)} + ${path.basename(PREV_JOURNAL_FILE)}`);
+      return history;
+    } catch {
+      console.error('[Cost] No usable backup - starting from the journal only');
+      return emptyHistory();
+    }
+  }
+}
+
+// Complete journal lines from offset on; a trailing partial line is left for later
+function readJournal(file, offset) {
+  let data;
+  try {
+    data = fs.readFileSync(file).subarray(offset);
+  } catch {
+    return { records: [], bytes: 0, partial: false };
+  }
+  const end = data.lastIndexOf(0x0a) + 1;
+  const records = [];
+  for (const line of data.subarray(0, end).toString('utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      console.error('[Cost] Skipping corrupt journal line:', line.slice(0, 80));
+    }
+  }
+  return { records, bytes: end, partial: end < data.length };
+}
+
+function applyJournal(records) {
+  for (const record of records) {
+    // Already in the snapshot (crash between compaction's rename and journal truncate)
+    if (record.seq && record.seq <= base.seq) continue;
+    applyRecord(base, record);
+  }
+  view = null;
+}
+
+// (Re)load snapshot + full journal
+function loadBase() {
+  base = readSnapshot();
+  snapshotId = getSnapshotId();
+  journalOffset = 0;
+  const { records, bytes } = readJournal(JOURNAL_FILE, 0);
+  applyJournal(records);
+  journalOffset = bytes;
+}
+
+// --- Lock ---
+
+async function acquireLock() {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (true) {
+    try {
+      const handle = await fsp.open(LOCK_FILE, 'wx');
+      await handle.writeFile(`${process.pid}\n`);
+      await handle.close();
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    try {
+      const stat = await fsp.stat(LOCK_FILE);
+      if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        console.warn('[Cost] Removing stale history lock');
+        await fsp.rm(LOCK_FILE, { force: true });
+        continue;
+      }
+    } catch {
+      continue;  // Released meanwhile
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${path.basename(LOCK_FILE)}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
+  }
+}
+
+async function releaseLock() {
+  await fsp.rm(LOCK_FILE, { force: true });
+}
+
+// --- Writing (all under the lock) ---
+
+// Catch up with the files: another instance may have appended or compacted
+async function syncLocked() {
+  if (!base || getSnapshotId() !== snapshotId) {
+    loadBase();
+  }
+
+  const { records, bytes, partial } = readJournal(JOURNAL_FILE, journalOffset);
+  applyJournal(records);
+  journalOffset += bytes;
+
+  // Nobody else is writing (we hold the lock), so a partial line is a crashed append
+  if (partial) {
+    console.warn('[Cost] Dropping half-written journal record (previous crash)');
+    await fsp.truncate(JOURNAL_FILE, journalOffset);
+  }
+}
+
+async function appendLocked() {
+  if (pending.length === 0) return;
+
+  const batch = pending.map((record, i) => ({ seq: base.seq + i + 1, ...record }));
+  const lines = batch.map(record => JSON.stringify(record) + '\n').join('');
+
+  const handle = await fsp.open(JOURNAL_FILE, 'a');
+  try {
+    await handle.writeFile(lines);
+    await handle.datasync();
+  } finally {
+    await handle.close();
+  }
+  // Only now part of the history - a failed write leaves them pending for the next flush
+  for (const record of batch) applyRecord(base, record);
+  journalOffset += Buffer.byteLength(lines);
+  pending = pending.slice(batch.length);
+  view = null;
+}
+
+// Fold the journal into a new snapshot, then start a new journal
+async function compactLocked() {
+  const tmpFile = `${COSTS_FILE}.tmp-${process.pid}`;
+  const handle = await fsp.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(JSON.stringify({ ...base, version: SNAPSHOT_VERSION }, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  if (fs.existsSync(COSTS_FILE)) {
+    await fsp.copyFile(COSTS_FILE, BACKUP_FILE);
+  }
+  await fsp.rename(tmpFile, COSTS_FILE);
+  // Kept so .bak can be brought up to date; records in the new snapshot are skipped by seq
+  await fsp.rename(JOURNAL_FILE, PREV_JOURNAL_FILE).catch(() => {});
+  journalOffset = 0;
+  snapshotId = getSnapshotId();
+  console.log(`[Cost] Compacted history (seq ${base.seq})`);
+}
+
+/**
+ * Write pending records to the journal (and compact it when it has grown)
+ * Runs in the background; safe to call any time. Records stay pending if the write fails.
+ * @param {object} [options]
+ * @param {boolean} [options.compact] - Compact regardless of journal size
+ */
+export function flushCostHistory({ compact = false } = {}) {
+  // One flush at a time; a new one starts after the running one
+  flushing = (flushing || Promise.resolve()).catch(() => {}).then(async () => {
+    try {
+      await acquireLock();
+    } catch (err) {
+      console.error('[Cost] Failed to save cost history - will retry:', err.message);
+      if (pending.length > 0) scheduleFlush();
+      return;
+    }
+    try {
+      await syncLocked();
+      await appendLocked();
+      if ((compact && journalOffset > 0) || journalOffset > COMPACT_AFTER_BYTES) {
+        await compactLocked();
+      }
+    } catch (err) {
+      console.error('[Cost] Failed to save cost history - will retry:', err.message);
+      if (pending.length > 0) scheduleFlush();
+    } finally {
+      await releaseLock();
+    }
+  });
+  return flushing;
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushCostHistory();
+  }, FLUSH_DELAY_MS);
+}
+
+// --- Public API ---
+
+/**
+ * Current history (snapshot + journal + this process's unflushed records)
+ * Treat as read-only - change it with recordCostEntry / recordBudgetChange.
+ * @returns {object} { daily, monthly, budgets, seq }
+ */
+export function loadCostHistory() {
+  if (!base) loadBase();
+  if (!view) {
+    view = structuredClone(base);
+    for (const record of pending) applyRecord(view, record);
+  }
+  return view;
+}
+
+/**
+ * Read the history from disk without changing any file and without taking the lock,
+ * for tools that run next to the proxy (the costs CLI). A corrupt snapshot is recovered
+ * in memory only; repairing it is left to the proxy. Unflushed records of a running
+ * proxy are not included.
+ * @returns {object} { daily, monthly, budgets, seq }
+ */
+export function readCostHistory() {
+  const history = readSnapshot({ repair: false });
+  for (const record of readJournal(JOURNAL_FILE, 0).records) {
+    // Skips records already in the snapshot, like applyJournal
+    if (record.seq && record.seq <= history.seq) continue;
+    applyRecord(history, record);
+  }
+  return history;
+}
+
+/**
+ * Record a request's cost (visible immediately, written in the background)
+ * @param {object} cost
+ * @param {number} cost.cost - Cost in USD
+ * @param {string} cost.model - Model family (no @version)
+ * @param {string} [cost.region]
+ * @param {string} [cost.project]
+ * @param {string} [cost.user]
+ * @param {Date} [at] - When it was incurred (selects the day/month)
+ */
+export function recordCostEntry({ cost, model, region, project, user }, at = new Date()) {
+  const day = at.toISOString().slice(0, 10);
+  pending.push({ type: 'cost', date: day, month: day.slice(0, 7), cost, model, region, project, user });
+  view = null;
+  scheduleFlush();
+}
+
+/**
+ * Record a budget override change, e.g. { daily: { hard: 20, soft: null } } - null removes
+ * the override (written right away)
+ * @returns {Promise} Resolves once the change is in the journal
+ */
+export function recordBudgetChange(changes) {
+  pending.push({ type: 'budgets', changes });
+  view = null;
+  return flushCostHistory();
+}
+
+// Pick up what other instances write (e.g. their spend, for budgets); don't keep the process alive
+setInterval(() => {
+  if (base) flushCostHistory();
+}, SYNC_INTERVAL_MS).unref();
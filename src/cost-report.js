@@ -0,0 +1,139 @@
+// src/cost-report.js - Cost reports over the persisted history (costs-history.json)
+// Shared by GET /costs/history, /costs/export.csv and the `npm run costs` CLI
+
+export const GROUP_BY = ['day', 'month', 'model', 'project'];
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH = /^\d{4}-\d{2}$/;
+
+// Breakdown field in a daily entry for each non-time grouping
+const BREAKDOWNS = { model: 'byModel', project: 'byProject' };
+
+// 'YYYY-MM' or 'YYYY-MM-DD' → day key; a month means its first (from) or last (to) day
+function toDayKey(value, name, endOfMonth) {
+  if (value === undefined || value === '') return null;
+  if (MONTH.test(value) && !Number.isNaN(Date.parse(`${value}-01`))) return `${value}-${endOfMonth ? '31' : '01'}`;
+  if (DAY.test(value) && !Number.isNaN(Date.parse(value))) return value;
+  throw new Error(`"${name}" must be YYYY-MM-DD or YYYY-MM, got "${value}"`);
+}
+
+/**
+ * Aggregate daily history into report rows
+ * @param {object} history - Cost history ({ daily, monthly })
+ * @param {object} [options]
+ * @param {string} [options.from] - First day or month (inclusive), default: earliest recorded
+ * @param {string} [options.to] - Last day or month (inclusive), default: latest recorded
+ * @param {string} [options.groupBy='day'] - day, month, model or project
+ * @returns {object} { from, to, groupBy, totalCostUSD, requests, rows: [{ key, costUSD, requests, share }] }
+ */
+export function buildCostReport(history, { from, to, groupBy = 'day' } = {}) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`"groupBy" must be one of ${GROUP_BY.join(', ')}, got "${groupBy}"`);
+  }
+  const fromKey = toDayKey(from, 'from', false);
+  const toKey = toDayKey(to, 'to', true);
+  if (fromKey && toKey && fromKey > toKey) {
+    throw new Error(`"from" (${from}) is after "to" (${to})`);
+  }
+
+  const days = Object.keys(history.daily || {})
+    .filter(day => (!fromKey || day >= fromKey) && (!toKey || day <= toKey))
+    .sort();
+
+  const groups = new Map();
+  const add = (key, cost, requests) => {
+    const group = groups.get(key) || { key, costUSD: 0, requests: 0 };
+    group.costUSD += cost;
+    group.requests = requests === null ? null : group.requests + requests;
+    groups.set(key, group);
+  };
+
+  let totalCostUSD = 0;
+  let requests = 0;
+  for (const day of days) {
+    const entry = history.daily[day];
+    totalCostUSD += entry.totalCost;
+    requests += entry.requests;
+
+    if (groupBy === 'day') {
+      add(day, entry.totalCost, entry.requests);
+    } else if (groupBy === 'month') {
+      add(day.slice(0, 7), entry.totalCost, entry.requests);
+    } else {
+      // Requests aren't tracked per model/project, only cost. Days recorded before a
+      // breakdown existed (e.g. byProject) count as 'unknown'.
+      const breakdown = entry[BREAKDOWNS[groupBy]] || {};
+      let attributed = 0;
+      for (const [key, cost] of Object.entries(breakdown)) {
+        add(key, cost, null);
+        attributed += cost;
+      }
+      if (entry.totalCost - attributed > 1e-9) {
+        add('unknown', entry.totalCost - attributed, null);
+      }
+    }
+  }
+
+  const rows = [...groups.values()].map(row => ({
+    ...row,
+    share: totalCostUSD > 0 ? row.costUSD / totalCostUSD : 0,
+  }));
+  // Periods chronologically, models/projects most expensive first
+  if (groupBy === 'model' || groupBy === 'project') {
+    rows.sort((a, b) => b.costUSD - a.costUSD);
+  }
+
+  return {
+    from: from || days[0] || null,
+    to: to || days.at(-1) || null,
+    groupBy,
+    totalCostUSD,
+    requests,
+    rows,
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report as CSV: one row per group plus a total row
+ */
+export function formatCsv(report) {
+  const lines = [[report.groupBy, 'cost_usd', 'requests', 'share']];
+  for (const row of report.rows) {
+    lines.push([row.key, row.costUSD.toFixed(6), row.requests, row.share.toFixed(4)]);
+  }
+  lines.push(['total', report.totalCostUSD.toFixed(6), report.requests, report.rows.length > 0 ? '1.0000' : '0.0000']);
+  return lines.map(line => line.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Report as a plain-text table (CLI)
+ */
+export function formatTable(report) {
+  const header = [report.groupBy.toUpperCase(), 'COST', 'REQUESTS', 'SHARE'];
+  const body = report.rows.map(row => [
+    row.key,
+    `$${row.costUSD.toFixed(2)}`,
+    row.requests === null ? '-' : String(row.requests),
+    `${(row.share * 100).toFixed(1)}%`,
+  ]);
+  const total = ['TOTAL', `$${report.totalCostUSD.toFixed(2)}`, String(report.requests), ''];
+
+  const widths = header.map((_, i) => Math.max(...[header, ...body, total].map(line => line[i].length)));
+  const format = line => line.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+  const rule = widths.map(width => '-'.repeat(width)).join('  ');
+
+  return [
+    `Costs ${report.from || '-'} → ${report.to || '-'} by ${report.groupBy}`,
+    '',
+    format(header),
+    rule,
+    ...body.map(format),
+    rule,
+    format(total),
+  ].join('\n') + '\n';
+}
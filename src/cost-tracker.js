@@ -1,93 +1,31 @@
 // src/cost-tracker.js - Cost tracking with Vertex AI europe-west1 pricing
-// Prices per 1 million tokens (10% regional premium included)
+// Prices come from pricing.js (pricing section of the config)
 // Includes persistent storage for monthly cost tracking
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const COSTS_FILE = path.join(__dirname, '..', 'costs-history.json');
-
-const VERTEX_EU_PRICING = {
-  // Claude Opus 4.5 (europe-west1 regional pricing)
-  'claude-opus-4-5': { input: 5.50, output: 27.50, cacheWrite: 6.875, cacheRead: 0.55 },
-  'claude-opus-4-5@20251101': { input: 5.50, output: 27.50, cacheWrite: 6.875, cacheRead: 0.55 },
-
-  // Claude Sonnet 4 (europe-west1 regional pricing)
-  'claude-sonnet-4': { input: 3.30, output: 16.50, cacheWrite: 4.125, cacheRead: 0.33 },
-  'claude-sonnet-4@20250514': { input: 3.30, output: 16.50, cacheWrite: 4.125, cacheRead: 0.33 },
-
-  // Claude Haiku 4.5 (europe-west1 regional pricing) - NEW MODEL
-  'claude-haiku-4-5': { input: 1.10, output: 5.50, cacheWrite: 1.375, cacheRead: 0.11 },
-  'claude-haiku-4-5@20251001': { input: 1.10, output: 5.50, cacheWrite: 1.375, cacheRead: 0.11 },
-
-  // Claude Haiku 3.5 (europe-west1 regional pricing) - LEGACY
-  'claude-3-5-haiku': { input: 1.10, output: 5.50, cacheWrite: 1.375, cacheRead: 0.11 },
-  'claude-3-5-haiku@20241022': { input: 1.10, output: 5.50, cacheWrite: 1.375, cacheRead: 0.11 },
-};
-
-// Default fallback (Opus pricing)
-const DEFAULT_PRICING = { input: 5.50, output: 27.50, cacheWrite: 6.875, cacheRead: 0.55 };
-
-// Cost threshold for confirmation (in USD)
-// $2 is reasonable for longer conversations with context
-export const COST_THRESHOLD = 2.00;
-
-// Flag to allow one expensive request
-let allowNextExpensive = false;
+import { calculateCost } from './pricing.js';
+import { loadCostHistory, recordCostEntry, recordBudgetChange } from './cost-history.js';
+import { getConfig } from './config.js';
 
 /**
- * Estimate cost before sending request (worst case: full max_tokens output)
- * @param {object} request - The API request body
- * @returns {object} Estimated cost breakdown
+ * Cost threshold for confirmation in USD (costs.threshold, default $2 -
+ * reasonable for longer conversations with context)
  */
-export function estimateCost(request) {
-  const model = request.model || 'claude-opus-4-5';
-  const vertexModel = model.replace(/-(\d{8})$/, '@$1'); // Convert to Vertex format
-  const pricing = VERTEX_EU_PRICING[vertexModel] || VERTEX_EU_PRICING[model] || DEFAULT_PRICING;
-  const perMillion = 1_000_000;
-
-  // Estimate input tokens from message content (rough: ~4 chars per token)
-  let inputChars = 0;
-  if (request.system) {
-    inputChars += typeof request.system === 'string' ? request.system.length : JSON.stringify(request.system).length;
-  }
-  for (const msg of request.messages || []) {
-    if (typeof msg.content === 'string') {
-      inputChars += msg.content.length;
-    } else if (Array.isArray(msg.content)) {
-      for (const block of msg.content) {
-        if (block.type === 'text') inputChars += (block.text || '').length;
-        if (block.type === 'tool_result' && typeof block.content === 'string') {
-          inputChars += block.content.length;
-        }
-      }
-    }
-  }
-
-  const estimatedInputTokens = Math.ceil(inputChars / 4);
-  const maxOutputTokens = request.max_tokens || 8192;
+export function getCostThreshold() {
+  return getConfig().costs.threshold;
+}
 
-  // Use 25% of max_tokens for realistic estimate (Claude rarely maxes out)
-  const estimatedOutputTokens = Math.ceil(maxOutputTokens * 0.25);
+// Flag to allow one expensive request
+let allowNextExpensive = false;
 
-  const inputCost = estimatedInputTokens / perMillion * pricing.input;
-  const outputCost = estimatedOutputTokens / perMillion * pricing.output;
-  const totalEstimate = inputCost + outputCost;
+// Spend budgets in USD (unset = no cap). Soft caps warn, hard caps refuse new requests.
+// Precedence: overrides set at runtime (POST /budgets, saved in costs-history.json), then
+// BUDGET_* in .env, then the config (costs.budgets) - env over config is applied by config.js.
+// Removing an override (null, DELETE /budgets) brings back the configured cap.
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const BUDGET_LEVELS = ['soft', 'hard'];
 
-  return {
-    estimatedInputTokens,
-    estimatedOutputTokens,
-    maxOutputTokens,
-    inputCost,
-    outputCost,
-    totalEstimate,
-    model: vertexModel,
-    exceedsThreshold: totalEstimate > COST_THRESHOLD,
-    threshold: COST_THRESHOLD,
-  };
-}
+// Budget crossings already logged, e.g. "daily:2025-01-15:soft"
+const loggedCrossings = new Set();
 
 /**
  * Check if expensive request is allowed
@@ -114,26 +52,6 @@ export function resetExpensiveFlag() {
   }
 }
 
-// Load or initialize persistent cost history
-function loadCostHistory() {
-  try {
-    if (fs.existsSync(COSTS_FILE)) {
-      return JSON.parse(fs.readFileSync(COSTS_FILE, 'utf-8'));
-    }
-  } catch (err) {
-    console.error('[Cost] Failed to load cost history:', err.message);
-  }
-  return { daily: {}, monthly: {} };
-}
-
-function saveCostHistory(history) {
-  try {
-    fs.writeFileSync(COSTS_FILE, JSON.stringify(history, null, 2));
-  } catch (err) {
-    console.error('[Cost] Failed to save cost history:', err.message);
-  }
-}
-
 function getDateKey() {
   return new Date().toISOString().slice(0, 10); // YYYY-MM-DD
 }
@@ -142,38 +60,6 @@ function getMonthKey() {
   return new Date().toISOString().slice(0, 7); // YYYY-MM
 }
 
-// Persist a cost to history
-function persistCost(cost, model) {
-  const history = loadCostHistory();
-  const dateKey = getDateKey();
-  const monthKey = getMonthKey();
-  const modelKey = model.split('@')[0];
-
-  // Initialize daily entry
-  if (!history.daily[dateKey]) {
-    history.daily[dateKey] = { totalCost: 0, requests: 0, byModel: {} };
-  }
-  history.daily[dateKey].totalCost += cost.totalCost;
-  history.daily[dateKey].requests += 1;
-  if (!history.daily[dateKey].byModel[modelKey]) {
-    history.daily[dateKey].byModel[modelKey] = 0;
-  }
-  history.daily[dateKey].byModel[modelKey] += cost.totalCost;
-
-  // Initialize monthly entry
-  if (!history.monthly[monthKey]) {
-    history.monthly[monthKey] = { totalCost: 0, requests: 0, byModel: {} };
-  }
-  history.monthly[monthKey].totalCost += cost.totalCost;
-  history.monthly[monthKey].requests += 1;
-  if (!history.monthly[monthKey].byModel[modelKey]) {
-    history.monthly[monthKey].byModel[modelKey] = 0;
-  }
-  history.monthly[monthKey].byModel[modelKey] += cost.totalCost;
-
-  saveCostHistory(history);
-}
-
 // Session cost tracking
 let sessionCost = {
   totalCostUSD: 0,
@@ -183,43 +69,22 @@ let sessionCost = {
   cacheReadTokens: 0,
   requests: 0,
   byModel: {},
+  byRegion: {},
+  byProject: {},
+  byUser: {},
   startTime: Date.now(),
 };
 
-/**
- * Calculate cost from API response usage
- * @param {object} usage - Anthropic API usage object
- * @param {string} model - Model name (Vertex AI format)
- * @returns {object} Cost breakdown
- */
-export function calculateCost(usage, model) {
-  const pricing = VERTEX_EU_PRICING[model] || DEFAULT_PRICING;
-  const perMillion = 1_000_000;
-
-  const inputCost = (usage.input_tokens || 0) / perMillion * pricing.input;
-  const outputCost = (usage.output_tokens || 0) / perMillion * pricing.output;
-  const cacheWriteCost = (usage.cache_creation_input_tokens || 0) / perMillion * pricing.cacheWrite;
-  const cacheReadCost = (usage.cache_read_input_tokens || 0) / perMillion * pricing.cacheRead;
-
-  const totalCost = inputCost + outputCost + cacheWriteCost + cacheReadCost;
-
-  return {
-    inputCost,
-    outputCost,
-    cacheWriteCost,
-    cacheReadCost,
-    totalCost,
-    model,
-    pricing,
-  };
-}
-
 /**
  * Record usage from an API response
  * @param {object} response - Anthropic API response with usage field
  * @param {string} model - Model name
+ * @param {object} [context]
+ * @param {string} [context.region] - Vertex AI region that served the request
+ * @param {string} [context.project] - Project the cost is attributed to (see attribution.js)
+ * @param {string} [context.user] - Pseudonymized user ID
  */
-export function recordUsage(response, model) {
+export function recordUsage(response, model, { region, project, user } = {}) {
   if (!response?.usage) return null;
 
   const usage = response.usage;
@@ -242,14 +107,148 @@ export function recordUsage(response, model) {
   sessionCost.byModel[modelKey].tokens += (usage.input_tokens || 0) + (usage.output_tokens || 0);
   sessionCost.byModel[modelKey].requests += 1;
 
-  // Persist to file for monthly tracking
-  persistCost(cost, model);
+  // Track by serving region (retries can fail over to another EU region), project and user
+  const regionKey = region || 'unknown';
+  const projectKey = project || 'unknown';
+  for (const [breakdown, key] of [['byRegion', regionKey], ['byProject', projectKey], ['byUser', user || 'unknown']]) {
+    if (!sessionCost[breakdown][key]) {
+      sessionCost[breakdown][key] = { cost: 0, requests: 0 };
+    }
+    sessionCost[breakdown][key].cost += cost.totalCost;
+    sessionCost[breakdown][key].requests += 1;
+  }
+
+  // Persist for daily/monthly tracking (written to the history journal in the background)
+  recordCostEntry({ cost: cost.totalCost, model: modelKey, region, project, user });
 
-  console.log(`[Cost] Request: $${cost.totalCost.toFixed(4)} | Session: $${sessionCost.totalCostUSD.toFixed(4)} | Model: ${modelKey}`);
+  console.log(`[Cost] Request: $${cost.totalCost.toFixed(4)} | Session: $${sessionCost.totalCostUSD.toFixed(4)} | Model: ${modelKey} | Region: ${regionKey} | Project: ${projectKey}`);
+  logBudgetCrossings();
 
   return cost;
 }
 
+/**
+ * Runtime overrides (POST /budgets) in effect
+ * @returns {object} e.g. { daily: { hard: 40 } } - only caps that were set
+ */
+export function getBudgetOverrides() {
+  return structuredClone(loadCostHistory().budgets || {});
+}
+
+/**
+ * Get the effective daily and monthly caps
+ * @returns {object} { daily: { soft, hard }, monthly: { soft, hard } } - null means no cap
+ */
+export function getBudgets() {
+  const overrides = loadCostHistory().budgets || {};
+  const configured = getConfig().costs.budgets;
+  const budgets = {};
+  for (const period of BUDGET_PERIODS) {
+    budgets[period] = {};
+    for (const level of BUDGET_LEVELS) {
+      budgets[period][level] = overrides[period]?.[level] ?? configured?.[period]?.[level] ?? null;
+    }
+  }
+  return budgets;
+}
+
+/**
+ * Override daily/monthly caps (persisted, survives restarts)
+ * @param {object} changes - e.g. { daily: { hard: 20 }, monthly: { soft: null } } - null removes
+ *   the override, so the cap from .env / the config applies again
+ * @returns {object} The effective caps after the change
+ */
+export function setBudgets(changes) {
+  for (const period of Object.keys(changes)) {
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new Error(`Unknown budget period "${period}" (expected daily or monthly)`);
+    }
+    for (const [level, amount] of Object.entries(changes[period] || {})) {
+      if (!BUDGET_LEVELS.includes(level)) {
+        throw new Error(`Unknown budget level "${level}" (expected soft or hard)`);
+      }
+      if (amount !== null && !(typeof amount === 'number' && amount > 0)) {
+        throw new Error(`${period}.${level} must be a positive number or null`);
+      }
+    }
+  }
+
+  recordBudgetChange(changes);
+
+  const budgets = getBudgets();
+  console.log(`[Budget] Caps updated: daily ${formatCap(budgets.daily)}, monthly ${formatCap(budgets.monthly)}`);
+  return budgets;
+}
+
+/**
+ * Remove every runtime override (DELETE /budgets) - the configured caps apply again
+ * @returns {object} The effective caps
+ */
+export function clearBudgetOverrides() {
+  const changes = {};
+  for (const period of BUDGET_PERIODS) {
+    changes[period] = Object.fromEntries(BUDGET_LEVELS.map(level => [level, null]));
+  }
+  return setBudgets(changes);
+}
+
+function formatCap({ soft, hard }) {
+  return `soft ${soft === null ? 'none' : `$${soft.toFixed(2)}`} / hard ${hard === null ? 'none' : `$${hard.toFixed(2)}`}`;
+}
+
+/**
+ * Compare today's and this month's spend with the caps
+ * Periods roll over by date key, so a new day/month starts from $0 again.
+ * @returns {object} { daily, monthly, warnings: string[], exceeded: object|null, overrides }
+ *   exceeded is the first hard cap that was reached (requests must be refused)
+ */
+export function getBudgetStatus() {
+  const history = loadCostHistory();
+  const budgets = getBudgets();
+  const periodKeys = { daily: getDateKey(), monthly: getMonthKey() };
+  const status = { daily: null, monthly: null, warnings: [], exceeded: null, overrides: getBudgetOverrides() };
+
+  for (const period of BUDGET_PERIODS) {
+    const key = periodKeys[period];
+    const spent = history[period][key]?.totalCost || 0;
+    const { soft, hard } = budgets[period];
+
+    status[period] = {
+      period: key,
+      spentUSD: spent,
+      soft,
+      hard,
+      softExceeded: soft !== null && spent >= soft,
+      hardExceeded: hard !== null && spent >= hard,
+      remainingUSD: hard !== null ? Math.max(hard - spent, 0) : null,
+    };
+
+    if (status[period].hardExceeded) {
+      status.exceeded ??= { period, key, spent, cap: hard };
+    } else if (status[period].softExceeded) {
+      status.warnings.push(`${period} soft cap $${soft.toFixed(2)} reached ($${spent.toFixed(2)} spent)`);
+    }
+  }
+
+  return status;
+}
+
+// Log each cap the first time it is crossed in a period
+function logBudgetCrossings() {
+  const status = getBudgetStatus();
+  for (const period of BUDGET_PERIODS) {
+    const { period: key, spentUSD, soft, hard, softExceeded, hardExceeded } = status[period];
+    for (const [level, exceeded, cap] of [['soft', softExceeded, soft], ['hard', hardExceeded, hard]]) {
+      const crossing = `${period}:${key}:${level}`;
+      if (exceeded && !loggedCrossings.has(crossing)) {
+        loggedCrossings.add(crossing);
+        const effect = level === 'hard' ? 'new requests will be refused' : 'warning only';
+        console.warn(`[Budget] ${period} ${level} cap $${cap.toFixed(2)} reached: $${spentUSD.toFixed(2)} spent (${effect})`);
+      }
+    }
+  }
+}
+
 /**
  * Get monthly cost from history
  * @returns {object} Monthly cost data
@@ -269,6 +268,8 @@ export function getMonthlyCosts() {
     formattedCost: `$${monthly.totalCost.toFixed(2)}`,
     requests: monthly.requests,
     byModel: monthly.byModel,
+    byProject: monthly.byProject || {},
+    byUser: monthly.byUser || {},
   };
 }
 
@@ -294,6 +295,9 @@ export function getSessionCosts() {
     },
     requests: sessionCost.requests,
     byModel: sessionCost.byModel,
+    byRegion: sessionCost.byRegion,
+    byProject: sessionCost.byProject,
+    byUser: sessionCost.byUser,
     session: {
       startTime: new Date(sessionCost.startTime).toISOString(),
       durationMinutes: Math.round(durationMins * 10) / 10,
@@ -304,7 +308,10 @@ export function getSessionCosts() {
       totalCostUSD: monthly.totalCostUSD,
       formattedCost: monthly.formattedCost,
       requests: monthly.requests,
+      byProject: monthly.byProject,
+      byUser: monthly.byUser,
     },
+    budget: getBudgetStatus(),
     pricing: 'Vertex AI europe-west1 (10% regional premium)',
   };
 }
@@ -321,28 +328,9 @@ export function resetSessionCosts() {
     cacheReadTokens: 0,
     requests: 0,
     byModel: {},
+    byRegion: {},
+    byProject: {},
+    byUser: {},
     startTime: Date.now(),
   };
 }
-
-/**
- * Get pricing table for display
- */
-export function getPricingTable() {
-  return {
-    region: 'europe-west1 (Belgium)',
-    note: 'Regional pricing includes 10% premium over global rates',
-    models: Object.entries(VERTEX_EU_PRICING).reduce((acc, [model, pricing]) => {
-      const key = model.split('@')[0];
-      if (!acc[key]) {
-        acc[key] = {
-          inputPer1M: `$${pricing.input.toFixed(2)}`,
-          outputPer1M: `$${pricing.output.toFixed(2)}`,
-          cacheWritePer1M: `$${pricing.cacheWrite.toFixed(3)}`,
-          cacheReadPer1M: `$${pricing.cacheRead.toFixed(2)}`,
-        };
-      }
-      return acc;
-    }, {}),
-  };
-}
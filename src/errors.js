@@ -0,0 +1,143 @@
+// src/errors.js - Translate Vertex AI / SDK errors into Anthropic API errors
+// Claude Code's retry logic keys off Anthropic error types, HTTP statuses and
+// retry-after headers, so every upstream failure goes through translateError().
+// Errors the proxy raises itself (bad requests, budgets, limits) are ProxyErrors and
+// go through the same path, so every error response has the same shape.
+
+import { APIError, APIConnectionError, APIConnectionTimeoutError } from '@anthropic-ai/vertex-sdk/core/error';
+
+// Anthropic error types and the HTTP status the Anthropic API uses for each
+const ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529,
+};
+
+// Google API status → Anthropic error type (Vertex AI error bodies)
+const GOOGLE_STATUS_TYPES = {
+  INVALID_ARGUMENT: 'invalid_request_error',
+  FAILED_PRECONDITION: 'invalid_request_error',
+  OUT_OF_RANGE: 'invalid_request_error',
+  UNAUTHENTICATED: 'authentication_error',
+  PERMISSION_DENIED: 'permission_error',
+  NOT_FOUND: 'not_found_error',
+  RESOURCE_EXHAUSTED: 'rate_limit_error',
+  UNAVAILABLE: 'overloaded_error',
+  INTERNAL: 'api_error',
+  DEADLINE_EXCEEDED: 'api_error',
+};
+
+// Fallback retry-after (seconds) when Vertex AI doesn't send one
+const DEFAULT_RETRY_AFTER = {
+  rate_limit_error: 10,
+  overloaded_error: 5,
+};
+
+/**
+ * Error raised by the proxy itself rather than Vertex AI - never retried by the client
+ * @param {number} status - HTTP status
+ * @param {string} type - Error type, e.g. invalid_request_error
+ * @param {string} message - Message for the user
+ * @param {object} [options] - headers: extra response headers, details: extra fields for the error body
+ */
+export class ProxyError extends Error {
+  constructor(status, type, message, { headers = {}, details = {} } = {}) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.type = type;
+    this.headers = headers;
+    this.details = details;
+  }
+}
+
+// Upstream error body: Anthropic ({ error: { type, message } }) or
+// Google ({ error: { code, status, message } }, sometimes wrapped in an array)
+function getUpstreamError(err) {
+  const body = Array.isArray(err?.error) ? err.error[0] : err?.error;
+  return body?.error && typeof body.error === 'object' ? body.error : {};
+}
+
+function getErrorType(err, upstream) {
+  if (ERROR_STATUS[upstream.type]) return upstream.type;
+  if (GOOGLE_STATUS_TYPES[upstream.status]) return GOOGLE_STATUS_TYPES[upstream.status];
+
+  switch (err?.status) {
+    case 400: case 422: return 'invalid_request_error';
+    case 401: return 'authentication_error';
+    case 403: return 'permission_error';
+    case 404: return 'not_found_error';
+    case 413: return 'request_too_large';
+    case 429: return 'rate_limit_error';
+    case 503: case 529: return 'overloaded_error';
+    default: return 'api_error';
+  }
+}
+
+function getStatus(err, type) {
+  // Connection problems reaching Vertex AI: gateway errors (retryable 5xx)
+  if (err instanceof APIConnectionTimeoutError) return 504;
+  if (err instanceof APIConnectionError) return 502;
+  return ERROR_STATUS[type];
+}
+
+/**
+ * Translate any error thrown while handling a request into an Anthropic API error
+ * @param {Error} err - SDK APIError, connection error, ProxyError, or unexpected proxy error
+ * @returns {object} { status, headers, body }
+ */
+export function translateError(err) {
+  if (err instanceof ProxyError) {
+    return {
+      status: err.status,
+      headers: { ...err.headers, 'x-should-retry': 'false' },
+      body: { type: 'error', error: { type: err.type, message: err.message, ...err.details } },
+    };
+  }
+
+  const upstream = getUpstreamError(err);
+  const type = getErrorType(err, upstream);
+  const status = getStatus(err, type);
+  const message = upstream.message || err?.message || 'Unknown error';
+
+  const headers = {};
+  const retryAfter = (err instanceof APIError && err.headers?.get?.('retry-after')) || DEFAULT_RETRY_AFTER[type];
+  if (retryAfter !== undefined) {
+    headers['retry-after'] = String(retryAfter);
+  }
+  // Tell the Anthropic SDK (used by Claude Code) whether retrying makes sense - only for
+  // Vertex AI's answers; a bug in the proxy fails the same way every time
+  headers['x-should-retry'] = String(err instanceof APIError && (status === 429 || status >= 500));
+
+  return {
+    status,
+    headers,
+    body: { type: 'error', error: { type, message } },
+  };
+}
+
+/**
+ * Send a translated error on an Express response
+ * Before any bytes are sent this is a normal JSON error with status and headers
+ * (even for stream requests, so clients can retry); mid-stream it's an SSE error event
+ * @param {object} res - Express response
+ * @param {Error} err - Error to translate
+ * @returns {object} The translated error
+ */
+export function sendError(res, err) {
+  const translated = translateError(err);
+
+  if (!res.headersSent) {
+    res.status(translated.status).set(translated.headers).type('json').send(JSON.stringify(translated.body));
+  } else if (!res.writableEnded) {
+    res.write(`event: error\ndata: ${JSON.stringify(translated.body)}\n\n`);
+    res.end();
+  }
+
+  return translated;
+}
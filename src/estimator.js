@@ -0,0 +1,283 @@
+// src/estimator.js - Pre-flight cost estimation
+// Counts everything that becomes input tokens (system, tools, text, tool calls/results,
+// images, documents) and predicts prompt-cache hits from the previous turn of the same
+// conversation. Actual usage is fed back after each request to calibrate the next estimate.
+
+import { createHash } from 'crypto';
+import { getModelPricing } from './pricing.js';
+import { getCostThreshold } from './cost-tracker.js';
+
+const CHARS_PER_TOKEN = 4;          // Prose
+const JSON_CHARS_PER_TOKEN = 3.5;   // Tool schemas / tool inputs tokenize denser than prose
+const TOOL_USE_SYSTEM_TOKENS = 346; // Tool-use system prompt Anthropic adds when tools are defined
+const MAX_IMAGE_TOKENS = 1600;      // Images are downscaled to ~1.15 megapixels
+const MAX_IMAGE_EDGE = 1568;
+const PDF_PAGE_TOKENS = 3000;       // Text (~1500) + page image (~1600) per PDF page
+const DEFAULT_OUTPUT_SHARE = 0.25;  // Without history: 25% of max_tokens (Claude rarely maxes out)
+
+// Prompt cache lifetimes (cache_control ttl)
+const CACHE_TTL_MS = { '5m': 5 * 60_000, '1h': 60 * 60_000 };
+
+// Conversation key → what the last request actually used
+const MAX_CONVERSATIONS = 500;
+const conversations = new Map();
+
+// Tokens for a string of prose or JSON
+function textTokens(text, charsPerToken = CHARS_PER_TOKEN) {
+  return Math.ceil((text || '').length / charsPerToken);
+}
+
+function jsonTokens(value) {
+  return textTokens(JSON.stringify(value ?? {}), JSON_CHARS_PER_TOKEN);
+}
+
+// Width/height from the image header (PNG, GIF, WebP, JPEG); null if unknown
+function getImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8X') return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk JPEG segments until a start-of-frame marker (SOF0-SOF15, minus DHT/JPG/DAC)
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// Image tokens ≈ width × height / 750 after downscaling; unknown size counts as the maximum
+function imageTokens(source) {
+  if (source?.type !== 'base64' || !source.data) return MAX_IMAGE_TOKENS;
+
+  const size = getImageSize(Buffer.from(source.data, 'base64'));
+  if (!size?.width || !size?.height) return MAX_IMAGE_TOKENS;
+
+  const scale = Math.min(1, MAX_IMAGE_EDGE / Math.max(size.width, size.height));
+  const tokens = Math.ceil((size.width * scale) * (size.height * scale) / 750);
+  return Math.min(tokens, MAX_IMAGE_TOKENS);
+}
+
+// PDF tokens from its page count ("/Type /Page" objects); size-based guess if pages are compressed
+function documentTokens(source) {
+  if (source?.type === 'text') return textTokens(source.data);
+  if (source?.type === 'content') return countBlocks(source.content).total;
+  if (source?.type !== 'base64' || !source.data) return PDF_PAGE_TOKENS;
+
+  const pdf = Buffer.from(source.data, 'base64');
+  const pages = (pdf.toString('latin1').match(/\/Type\s*\/Page(?!s)/g) || []).length ||
+    Math.max(1, Math.round(pdf.length / 100_000));
+  return pages * PDF_PAGE_TOKENS;
+}
+
+// Token counts for message content (string or block array), split by kind
+function countBlocks(content) {
+  const counts = { text: 0, tools: 0, images: 0, documents: 0, total: 0 };
+  const add = (kind, tokens) => {
+    counts[kind] += tokens;
+    counts.total += tokens;
+  };
+
+  if (typeof content === 'string') {
+    add('text', textTokens(content));
+    return counts;
+  }
+
+  for (const block of Array.isArray(content) ? content : []) {
+    switch (block.type) {
+      case 'text':
+        add('text', textTokens(block.text));
+        break;
+      case 'thinking':
+        add('text', textTokens(block.thinking));
+        break;
+      case 'tool_use':
+      case 'server_tool_use':
+        add('tools', jsonTokens(block.input) + textTokens(block.name));
+        break;
+      case 'tool_result': {
+        // Tool results hold strings or arrays of text / image blocks
+        const nested = countBlocks(block.content);
+        for (const kind of ['text', 'tools', 'images', 'documents']) add(kind, nested[kind]);
+        break;
+      }
+      case 'image':
+        add('images', imageTokens(block.source));
+        break;
+      case 'document':
+        add('documents', documentTokens(block.source));
+        break;
+    }
+  }
+  return counts;
+}
+
+// Cache breakpoint present anywhere in the prompt (and its TTL)
+function findCacheTtl(request) {
+  let ttl = null;
+  const visit = (block) => {
+    if (block?.cache_control) {
+      ttl = block.cache_control.ttl === '1h' ? '1h' : (ttl || '5m');
+    }
+  };
+  (Array.isArray(request.system) ? request.system : []).forEach(visit);
+  (request.tools || []).forEach(visit);
+  for (const msg of request.messages || []) {
+    if (Array.isArray(msg.content)) msg.content.forEach(visit);
+  }
+  return ttl;
+}
+
+// A conversation is identified by what every turn of it starts with:
+// model, system prompt, tools and the first user message
+function getConversationKey(request) {
+  const prefix = JSON.stringify([
+    getModelPricing(request.model).family,
+    request.system ?? null,
+    request.tools ?? null,
+    request.messages?.[0] ?? null,
+  ]);
+  return createHash('sha256').update(prefix).digest('hex').slice(0, 16);
+}
+
+/**
+ * Estimate cost before sending request
+ * @param {object} request - The API request body
+ * @param {object} [options]
+ * @param {number} [options.inputTokens] - Real input token count (from count_tokens); skips the heuristic
+ * @param {object} [options.conversation] - Request the conversation is recognized by, when the proxy
+ *   changed it (removed tools, system prompt notes); defaults to request
+ * @returns {object} Estimated cost breakdown
+ */
+export function estimateCost(request, { inputTokens, conversation = request } = {}) {
+  const model = request.model || 'claude-opus-4-5';
+  const vertexModel = model.replace(/-(\d{8})$/, '@$1'); // Convert to Vertex format
+  const pricing = getModelPricing(vertexModel);
+  const perMillion = 1_000_000;
+
+  // Input: system prompt, tool definitions and every message block
+  const system = typeof request.system === 'string'
+    ? textTokens(request.system)
+    : countBlocks(request.system).total;
+  const tools = request.tools?.length
+    ? jsonTokens(request.tools) + TOOL_USE_SYSTEM_TOKENS
+    : 0;
+  const messages = { text: 0, tools: 0, images: 0, documents: 0, total: 0 };
+  for (const msg of request.messages || []) {
+    const counts = countBlocks(msg.content);
+    for (const kind of Object.keys(messages)) messages[kind] += counts[kind];
+  }
+  const heuristicTokens = system + tools + messages.total;
+
+  // Same conversation as a recent request: correct the heuristic with how far off it was last time
+  const conversationKey = getConversationKey(conversation);
+  const previous = conversations.get(conversationKey);
+  const ttl = findCacheTtl(request);
+  const cacheAlive = previous && ttl && Date.now() - previous.at < CACHE_TTL_MS[ttl];
+
+  let estimatedInputTokens = inputTokens;
+  let inputTokensSource = 'count_tokens';
+  if (estimatedInputTokens === undefined) {
+    const calibration = previous?.calibration ?? 1;
+    estimatedInputTokens = Math.ceil(heuristicTokens * calibration);
+    inputTokensSource = previous ? 'calibrated' : 'heuristic';
+  }
+
+  // Prompt cache: last turn's prompt is read back from cache if still alive, the rest is written.
+  // Without cache_control nothing is cached.
+  let predictedCacheReadTokens = 0;
+  let predictedCacheWriteTokens = 0;
+  if (ttl) {
+    predictedCacheReadTokens = cacheAlive ? Math.min(previous.promptTokens, estimatedInputTokens) : 0;
+    predictedCacheWriteTokens = estimatedInputTokens - predictedCacheReadTokens;
+  }
+  const uncachedInputTokens = estimatedInputTokens - predictedCacheReadTokens - predictedCacheWriteTokens;
+
+  // Output: the largest output so far in this conversation, else a share of max_tokens
+  const maxOutputTokens = request.max_tokens || 8192;
+  const estimatedOutputTokens = previous?.outputTokens
+    ? Math.min(previous.outputTokens, maxOutputTokens)
+    : Math.ceil(maxOutputTokens * DEFAULT_OUTPUT_SHARE);
+
+  const uncachedInputCost = uncachedInputTokens / perMillion * pricing.input;
+  const cacheWriteCost = predictedCacheWriteTokens / perMillion * pricing.cacheWrite;
+  const cacheReadCost = predictedCacheReadTokens / perMillion * pricing.cacheRead;
+  const inputCost = uncachedInputCost + cacheWriteCost + cacheReadCost;
+  const outputCost = estimatedOutputTokens / perMillion * pricing.output;
+  const totalEstimate = inputCost + outputCost;
+  const threshold = getCostThreshold();
+
+  return {
+    estimatedInputTokens,
+    inputTokensSource,
+    inputBreakdown: {
+      system,
+      tools: tools + messages.tools,
+      text: messages.text,
+      images: messages.images,
+      documents: messages.documents,
+    },
+    predictedCacheReadTokens,
+    predictedCacheWriteTokens,
+    estimatedOutputTokens,
+    maxOutputTokens,
+    inputCost,
+    cacheWriteCost,
+    cacheReadCost,
+    outputCost,
+    totalEstimate,
+    model: vertexModel,
+    conversationKey,
+    heuristicInputTokens: heuristicTokens,
+    exceedsThreshold: totalEstimate > threshold,
+    threshold,
+  };
+}
+
+/**
+ * Feed actual usage back so the next turn of the conversation is estimated better
+ * @param {object} estimate - The estimate made for this request (estimateCost)
+ * @param {object} usage - Anthropic API usage object from the response
+ */
+export function recordActualUsage(estimate, usage) {
+  if (!estimate?.conversationKey || !usage) return;
+
+  const promptTokens = (usage.input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0);
+  const previous = conversations.get(estimate.conversationKey);
+
+  // Ratio of real to heuristic tokens, bounded so one odd request can't skew it much
+  const calibration = estimate.heuristicInputTokens > 0 && promptTokens > 0
+    ? Math.min(Math.max(promptTokens / estimate.heuristicInputTokens, 0.5), 2)
+    : previous?.calibration ?? 1;
+
+  // Map keeps insertion order - re-insert so the oldest conversation is evicted first
+  conversations.delete(estimate.conversationKey);
+  conversations.set(estimate.conversationKey, {
+    at: Date.now(),
+    promptTokens,
+    calibration,
+    outputTokens: Math.max(usage.output_tokens || 0, previous?.outputTokens || 0),
+  });
+  if (conversations.size > MAX_CONVERSATIONS) {
+    conversations.delete(conversations.keys().next().value);
+  }
+}
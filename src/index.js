@@ -2,14 +2,27 @@
 // Routes Claude Code traffic through Vertex AI (EU) with PII pseudonymization
 import 'dotenv/config';
 import express from 'express';
-import { execSync } from 'child_process';
 import { randomUUID } from 'crypto';
 import { PIIPseudonymizer } from './pii.js';
-import { sendMessage, streamMessage } from './vertex.js';
-import { recordToolUse, isOverLimit, getLimit, getStats } from './rate-limiter.js';
+import { sendMessage, streamMessage, countTokens, getRegions } from './vertex.js';
+import { translateModel, listModels, getModel } from './models.js';
+import { getUpstreamHeaders, describeUnsupportedBetas } from './anthropic-headers.js';
+import { sendError, ProxyError } from './errors.js';
+import { validateMessagesRequest } from './request-validation.js';
+import { reloadConfig, watchConfig } from './config.js';
+import { getAttribution } from './attribution.js';
+import { getPricingTable } from './pricing.js';
+import { estimateCost, recordActualUsage } from './estimator.js';
+import { loadCostHistory, flushCostHistory } from './cost-history.js';
+import { buildCostReport, formatCsv } from './cost-report.js';
+import { requestApproval, settleApproval, listPendingApprovals, getApprovalChannels } from './approvals.js';
+import { checkForLoop, describeLoop, getLoopStats } from './loop-detector.js';
+import { decideToolUse, describeBlockedToolUse, getToolPolicy, getPolicyStatus } from './tool-policy.js';
+import { recordToolUse, checkLimit, getEnforcement, getStats, getStatsFor, resetLimits, saveRateLimitState } from './rate-limiter.js';
 import {
-  recordUsage, getSessionCosts, getPricingTable,
-  estimateCost, isExpensiveAllowed, allowExpensiveRequest, resetExpensiveFlag, COST_THRESHOLD
+  recordUsage, getSessionCosts,
+  isExpensiveAllowed, allowExpensiveRequest, resetExpensiveFlag, getCostThreshold,
+  getBudgetStatus, setBudgets, clearBudgetOverrides
 } from './cost-tracker.js';
 import { initBigQuery, logRequest, isInitialized, formatMetadata } from './bigquery-logger.js';
 import {
@@ -17,36 +30,6 @@ import {
   formatValidationResponse
 } from './bigquery-validator.js';
 
-/**
- * Show macOS dialog for expensive request approval
- * Returns true if user clicks "Continue", false if "Block"
- */
-async function promptExpensiveRequest(estimate) {
-  const message = [
-    `Estimated cost: $${estimate.totalEstimate.toFixed(2)}`,
-    `Threshold: $${estimate.threshold.toFixed(2)}`,
-    ``,
-    `Input: ~${estimate.estimatedInputTokens.toLocaleString()} tokens ($${estimate.inputCost.toFixed(3)})`,
-    `Output: ~${estimate.estimatedOutputTokens.toLocaleString()} tokens ($${estimate.outputCost.toFixed(3)})`,
-    `Model: ${estimate.model}`,
-  ].join('\\n');
-
-  const script = `
-    display dialog "${message}" ` +
-    `with title "⚠️ Expensive Request" ` +
-    `buttons {"Block", "Continue"} ` +
-    `default button "Continue" ` +
-    `with icon caution`;
-
-  try {
-    const result = execSync(`osascript -e '${script}'`, { encoding: 'utf-8', timeout: 60000 });
-    return result.includes('Continue');
-  } catch (err) {
-    // User clicked "Block" or closed dialog
-    return false;
-  }
-}
-
 const app = express();
 app.use(express.json({ limit: '50mb' }));
 
@@ -62,48 +45,69 @@ initValidator().catch(err => {
   console.error('[BigQueryValidator] Initialization failed - validation disabled:', err.message);
 });
 
-// Model name translation: Anthropic API → Vertex AI
-// Claude Code sends model names with dashes, Vertex AI uses @ for version
-const MODEL_MAP = {
-  // Opus 4.5 (enabled in Model Garden)
-  'claude-opus-4-5-20251101': 'claude-opus-4-5@20251101',
-  'claude-opus-4-5': 'claude-opus-4-5',
-  // Sonnet 4
-  'claude-sonnet-4-20250514': 'claude-sonnet-4@20250514',
-  'claude-sonnet-4': 'claude-sonnet-4',
-  // Haiku 3.5
-  'claude-3-5-haiku-20241022': 'claude-3-5-haiku@20241022',
-  'claude-3-5-haiku': 'claude-3-5-haiku',
-};
-
-// Dynamic translation: convert -YYYYMMDD to @YYYYMMDD for any model
-function translateModel(model) {
-  // First check static map
-  if (MODEL_MAP[model]) {
-    const translated = MODEL_MAP[model];
-    console.log(`[Model] Translated: ${model} → ${translated}`);
-    return translated;
+// Health check
+app.get('/health', (req, res) => res.json({ status: 'ok', region: getRegions()[0], regions: getRegions() }));
+
+// Rate limit stats: calls per MCP server and tool in each window, with the limits,
+// and the tool call loops detected
+app.get('/stats', (req, res) => res.json({ toolUsage: getStats(), loops: getLoopStats() }));
+
+app.get('/stats/:name', (req, res) => {
+  const stats = getStatsFor(req.params.name);
+  if (!stats) {
+    return sendError(res, new ProxyError(404, 'not_found_error', `No calls or limits for: ${req.params.name}`));
   }
+  res.json({ name: req.params.name, windows: stats });
+});
+
+// Reset counters - all, one MCP server (with its tools) or one tool
+app.delete('/stats', (req, res) => res.json({ reset: resetLimits() }));
 
-  // Dynamic: replace trailing -YYYYMMDD with @YYYYMMDD
-  const datePattern = /-(\d{8})$/;
-  if (datePattern.test(model)) {
-    const translated = model.replace(datePattern, '@$1');
-    console.log(`[Model] Translated: ${model} → ${translated}`);
-    return translated;
+app.delete('/stats/:name', (req, res) => {
+  if (!getStatsFor(req.params.name)) {
+    return sendError(res, new ProxyError(404, 'not_found_error', `No calls or limits for: ${req.params.name}`));
   }
+  res.json({ name: req.params.name, reset: resetLimits(req.params.name) });
+});
+
+// Cost tracking endpoint - Vertex AI europe-west1 pricing
+app.get('/costs', (req, res) => res.json(getSessionCosts()));
 
-  return model;
+// Cost history report: ?from=2025-01&to=2025-03-15&groupBy=day|month|model|project
+// Builds the report or sends a 400 for bad parameters; returns null if it did
+function getCostReport(req, res) {
+  try {
+    return buildCostReport(loadCostHistory(), {
+      from: req.query.from,
+      to: req.query.to,
+      groupBy: req.query.groupBy,
+    });
+  } catch (err) {
+    sendError(res, new ProxyError(400, 'invalid_request_error', err.message));
+    return null;
+  }
 }
 
-// Health check
-app.get('/health', (req, res) => res.json({ status: 'ok', region: process.env.VERTEX_REGION }));
+app.get('/costs/history', (req, res) => {
+  const report = getCostReport(req, res);
+  if (report) res.json(report);
+});
 
-// Rate limit stats
-app.get('/stats', (req, res) => res.json({ toolUsage: getStats() }));
+// Same report as a download (for finance)
+app.get('/costs/export.csv', (req, res) => {
+  const report = getCostReport(req, res);
+  if (!report) return;
+  res.type('text/csv');
+  res.attachment(`costs-${report.groupBy}-${report.from || 'all'}-${report.to || 'all'}.csv`);
+  res.send(formatCsv(report));
+});
 
-// Cost tracking endpoint - Vertex AI europe-west1 pricing
-app.get('/costs', (req, res) => res.json(getSessionCosts()));
+app.get('/costs/export.json', (req, res) => {
+  const report = getCostReport(req, res);
+  if (!report) return;
+  res.attachment(`costs-${report.groupBy}-${report.from || 'all'}-${report.to || 'all'}.json`);
+  res.json(report);
+});
 
 // Pricing table
 app.get('/pricing', (req, res) => res.json(getPricingTable()));
@@ -113,11 +117,84 @@ app.post('/allow-expensive', (req, res) => {
   allowExpensiveRequest();
   res.json({
     status: 'approved',
-    message: `Next request exceeding $${COST_THRESHOLD.toFixed(2)} will be allowed (one-time).`,
-    threshold: COST_THRESHOLD,
+    message: `Next request exceeding $${getCostThreshold().toFixed(2)} will be allowed (one-time).`,
+    threshold: getCostThreshold(),
   });
 });
 
+// Daily / monthly spend against the soft and hard caps
+app.get('/budgets', (req, res) => res.json(getBudgetStatus()));
+
+// Override caps: {"daily": {"soft": 5, "hard": 10}, "monthly": {"hard": null}}
+// (null removes the override - the cap from .env / the config applies again)
+app.post('/budgets', (req, res) => {
+  try {
+    setBudgets(req.body || {});
+  } catch (err) {
+    return sendError(res, new ProxyError(400, 'invalid_request_error', err.message));
+  }
+  res.json(getBudgetStatus());
+});
+
+// Remove all overrides - back to the caps from .env / the config
+app.delete('/budgets', (req, res) => {
+  clearBudgetOverrides();
+  res.json(getBudgetStatus());
+});
+
+// Expensive requests waiting for approval
+app.get('/approvals', (req, res) => res.json({
+  approvals: listPendingApprovals(),
+  channels: getApprovalChannels(),
+}));
+
+// Tool policies in effect and recent allow / deny decisions
+app.get('/policies', (req, res) => res.json(getPolicyStatus()));
+
+// Re-read the config files now (they're also watched); an invalid config is rejected
+// with every problem listed, and the running config stays in effect
+app.post('/admin/reload', (req, res) => {
+  const result = reloadConfig();
+  if (!result.reloaded) {
+    return sendError(res, new ProxyError(400, 'config_error', 'Invalid configuration - kept the running config', {
+      details: { errors: result.errors },
+    }));
+  }
+  res.json(result);
+});
+
+// Approve or deny a pending request: {"approved": true}
+app.post('/approvals/:id', (req, res) => {
+  const approved = req.body?.approved;
+  if (typeof approved !== 'boolean') {
+    return sendError(res, new ProxyError(400, 'invalid_request_error', 'Body must be {"approved": true} or {"approved": false}'));
+  }
+
+  if (!settleApproval(req.params.id, approved)) {
+    return sendError(res, new ProxyError(404, 'not_found_error', `No pending approval: ${req.params.id}`));
+  }
+
+  res.json({ id: req.params.id, status: approved ? 'approved' : 'denied' });
+});
+
+// Models list - matches Anthropic API (GET /v1/models)
+// Built from the model map (models.map in the config), with the Vertex AI ID and EU pricing for each model
+app.get('/v1/models', (req, res) => res.json(listModels({
+  limit: req.query.limit,
+  afterId: req.query.after_id,
+  beforeId: req.query.before_id,
+})));
+
+// Single model lookup - rejects models not enabled in our Model Garden
+app.get('/v1/models/:id', (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) {
+    return sendError(res, new ProxyError(404, 'not_found_error',
+      `Model "${req.params.id}" is not enabled in Vertex AI Model Garden for this proxy`));
+  }
+  res.json(model);
+});
+
 // BigQuery query validator status
 app.get('/v1/bigquery/status', (req, res) => res.json({
   validator_ready: isValidatorReady(),
@@ -131,16 +208,10 @@ app.get('/v1/bigquery/status', (req, res) => res.json({
 // POST /v1/bigquery/validate with body: { sql: "SELECT ..." }
 app.post('/v1/bigquery/validate', async (req, res) => {
   const requestId = randomUUID();
-  const { sql } = req.body;
+  const { sql } = req.body || {};
 
   if (!sql || typeof sql !== 'string') {
-    return res.status(400).json({
-      type: 'error',
-      error: {
-        type: 'invalid_request',
-        message: 'Missing or invalid "sql" field in request body'
-      }
-    });
+    return sendError(res, new ProxyError(400, 'invalid_request_error', 'Missing or invalid "sql" field in request body'));
   }
 
   try {
@@ -154,15 +225,9 @@ app.post('/v1/bigquery/validate', async (req, res) => {
     // If query would exceed limit, return 402 (Payment Required)
     if (!validation.approved) {
       console.log(`[BigQueryValidator] Query blocked: ${validation.estimatedGB}GB > ${validation.scanLimitGB}GB`);
-      return res.status(402).json({
-        type: 'error',
-        error: {
-          type: 'query_too_expensive',
-          message: validation.message,
-          request_id: requestId,
-          ...formatValidationResponse(validation)
-        }
-      });
+      return sendError(res, new ProxyError(402, 'query_too_expensive', validation.message, {
+        details: { request_id: requestId, ...formatValidationResponse(validation) },
+      }));
     }
 
     // Query approved - return estimation details
@@ -174,61 +239,13 @@ app.post('/v1/bigquery/validate', async (req, res) => {
     });
   } catch (err) {
     console.error('[BigQueryValidator] Validation error:', err);
-    return res.status(500).json({
-      type: 'error',
-      error: {
-        type: 'validation_failed',
-        message: err.message,
-        request_id: requestId
-      }
-    });
+    return sendError(res, new ProxyError(500, 'validation_failed', err.message, { details: { request_id: requestId } }));
   }
 });
 
-/**
- * Helper: Calculate actual cost from response tokens
- * Reuses logic from cost-tracker.js
- */
-function calculateActualCost(response, model) {
-  // Get pricing from cost-tracker
-  // Default to Opus pricing if model not found
-  const VERTEX_EU_PRICING = {
-    'claude-opus-4-5': { input: 5.50, output: 27.50 },
-    'claude-opus-4-5@20251101': { input: 5.50, output: 27.50 },
-    'claude-sonnet-4': { input: 3.30, output: 16.50 },
-    'claude-sonnet-4@20250514': { input: 3.30, output: 16.50 },
-    'claude-haiku-4-5': { input: 1.10, output: 5.50 },
-    'claude-haiku-4-5@20251001': { input: 1.10, output: 5.50 },
-    'claude-3-5-haiku': { input: 1.10, output: 5.50 },
-    'claude-3-5-haiku@20241022': { input: 1.10, output: 5.50 },
-  };
-
-  const pricing = VERTEX_EU_PRICING[model] || { input: 5.50, output: 27.50 };
-  const inputTokens = response.usage?.input_tokens || 0;
-  const outputTokens = response.usage?.output_tokens || 0;
-
-  const inputCost = (inputTokens / 1_000_000) * pricing.input;
-  const outputCost = (outputTokens / 1_000_000) * pricing.output;
-
-  return parseFloat((inputCost + outputCost).toFixed(4));
-}
-
-/**
- * Helper: Hash user ID for privacy
- * Returns pseudonymized user identifier safe for analytics
- */
-function hashUserId(userId) {
-  if (!userId || userId === 'unknown') {
-    return 'unknown';
-  }
-  // Base64 encode first 16 chars for simple pseudonymization
-  // For stronger privacy, could use crypto.createHash('sha256')
-  return `user_${Buffer.from(userId).toString('base64').substring(0, 16)}`;
-}
-
 // Check current threshold setting
 app.get('/threshold', (req, res) => res.json({
-  threshold: COST_THRESHOLD,
+  threshold: getCostThreshold(),
   expensiveAllowed: isExpensiveAllowed(),
 }));
 
@@ -242,47 +259,67 @@ app.post('/v1/messages', async (req, res) => {
   res.set('X-Request-ID', requestId);
 
   try {
-    // 0a. Check rate limits for tools used in conversation
-    const toolsOverLimit = findToolsOverLimit(req.body.messages);
-    if (toolsOverLimit.length > 0) {
-      const tool = toolsOverLimit[0];
-      const limit = getLimit(tool);
-      console.log(`[RateLimit] Blocking request - ${tool} over limit (${limit} calls)`);
-      return res.status(429).json({
-        type: 'error',
-        error: {
-          type: 'rate_limit_exceeded',
-          message: `Tool "${tool}" has reached its session limit of ${limit} calls. ` +
-                   `This limit exists for cost control. Restart the proxy to reset limits.`
-        }
-      });
+    // 0. Forward anthropic-version / anthropic-beta (reject betas Vertex AI doesn't support)
+    const { headers: upstreamHeaders, unsupportedBetas } = getUpstreamHeaders(req);
+    if (unsupportedBetas.length > 0) {
+      console.log(`[Proxy] Rejecting unsupported beta(s): ${unsupportedBetas.join(', ')}`);
+      return sendError(res, new ProxyError(400, 'invalid_request_error', describeUnsupportedBetas(unsupportedBetas)));
+    }
+    validateMessagesRequest(req.body);
+    // As sent, before the proxy removes tools or adds notes - identifies the conversation for estimates
+    const clientBody = req.body;
+
+    // 0a. Enforce daily/monthly budgets - hard caps refuse, soft caps only warn
+    const budget = getBudgetStatus();
+    if (budget.exceeded) {
+      const { period, spent, cap } = budget.exceeded;
+      console.log(`[Budget] Blocking request - ${period} hard cap $${cap.toFixed(2)} reached ($${spent.toFixed(2)} spent)`);
+      return sendError(res, new ProxyError(402, 'budget_exceeded',
+        `The ${period} budget of $${cap.toFixed(2)} has been reached ($${spent.toFixed(2)} spent). ` +
+        `Raise it with POST /budgets or wait until the ${period === 'daily' ? 'day' : 'month'} rolls over (UTC).`));
+    }
+    if (budget.warnings.length > 0) {
+      res.set('X-Budget-Warning', budget.warnings.join('; '));
     }
 
-    // 0b. Check estimated cost - prompt user for expensive requests
-    const estimate = estimateCost(req.body);
-    if (estimate.exceedsThreshold && !isExpensiveAllowed()) {
-      console.log(`[Cost] Expensive request detected - estimated $${estimate.totalEstimate.toFixed(2)} > $${COST_THRESHOLD.toFixed(2)}`);
-
-      // Show interactive dialog and wait for user response
-      const approved = await promptExpensiveRequest(estimate);
-
-      if (!approved) {
-        console.log(`[Cost] User rejected expensive request`);
-        return res.status(402).json({
-          type: 'error',
-          error: {
-            type: 'cost_threshold_exceeded',
-            message: `Request blocked by user (estimated cost: $${estimate.totalEstimate.toFixed(2)})`
-          }
-        });
+    // 0b. Check rate limits - soft: take over-limit tools away, block: refuse conversations that used one
+    if (getEnforcement() === 'soft') {
+      const { body, removed } = removeToolsOverLimit(req.body);
+      if (removed.length > 0) {
+        req.body = body;
+        res.set('X-RateLimit-Disabled-Tools', removed.map(({ tool }) => tool).join(', '));
       }
-      console.log(`[Cost] User approved expensive request`);
+    }
+    const overLimit = getEnforcement() === 'block' && findToolOverLimit(req.body.messages);
+    if (overLimit) {
+      const { tool, key, window, limit, retryAfterSeconds } = overLimit;
+      console.log(`[RateLimit] Blocking request - ${tool} over limit (${key}: ${limit} calls per ${window})`);
+      // Proxy-enforced cost limit, not Vertex AI capacity: the SDK's automatic retries would
+      // only hit the same limit again, so leave the decision to the user (x-should-retry: false)
+      return sendError(res, new ProxyError(429, 'rate_limit_exceeded',
+        `Tool "${tool}" has reached its limit of ${limit} calls per ${window}` +
+        `${key === tool ? '' : ` (MCP server "${key}")`}. This limit exists for cost control. ` +
+        `Retry in ${formatWait(retryAfterSeconds)}, or reset it with DELETE /stats/${key}.`,
+        { headers: { 'retry-after': String(retryAfterSeconds) } }));
     }
 
-    // Reset expensive flag if it was used
-    resetExpensiveFlag();
+    // 0c. Agent stuck repeating the same tool call - warn, tell Claude, or halt (LOOP_ACTION)
+    const loop = checkForLoop(req.body.messages, { requestId });
+    if (loop?.action === 'halt') {
+      return sendError(res, new ProxyError(400, 'loop_detected',
+        `Stopped: "${loop.tool}" was called ${loop.count} times with identical input. ` +
+        `Send a new message to continue in a different direction.`));
+    }
+    if (loop) {
+      res.set('X-Loop-Detected', `${loop.tool}; count=${loop.count}`);
+    }
+    if (loop?.action === 'notice') {
+      req.body = { ...req.body, system: appendSystemNote(req.body.system, describeLoop(loop)) };
+    }
 
-    // 1. Process messages (pseudonymize text)
+    // 1. Process system prompt and messages (pseudonymize text)
+    // One pseudonymizer for the whole request keeps placeholders consistent across fields
+    const processedSystem = processSystemPrompt(req.body.system, pseudonymizer);
     const processedMessages = req.body.messages.map((msg) => ({
       ...msg,
       content: processMessageContent(msg.content, pseudonymizer)
@@ -297,32 +334,79 @@ app.post('/v1/messages', async (req, res) => {
     // 2. Translate model name for Vertex AI
     const vertexModel = translateModel(req.body.model);
 
+    // A client that gives up withdraws the approvals it's waiting for (cost or tool policy)
+    const disconnected = new AbortController();
+    res.on('close', () => disconnected.abort());
+
+    // 2b. Check estimated cost - prompt user for expensive requests
+    // The chars/4 heuristic is cheap but rough; confirm with a real (pseudonymized) token
+    // count before bothering the user, so only genuinely expensive requests prompt
+    let estimate = estimateCost(req.body, { conversation: clientBody });
+    if (estimate.exceedsThreshold && !isExpensiveAllowed()) {
+      try {
+        const { response: counted } = await countTokens(
+          buildCountTokensParams(req.body, vertexModel, processedSystem, processedMessages),
+          { headers: upstreamHeaders }
+        );
+        estimate = estimateCost(req.body, { inputTokens: counted.input_tokens, conversation: clientBody });
+      } catch (err) {
+        console.error('[Cost] Token count failed - using heuristic estimate:', err.message);
+      }
+    }
+    if (estimate.exceedsThreshold && !isExpensiveAllowed()) {
+      console.log(`[Cost] Expensive request detected - estimated $${estimate.totalEstimate.toFixed(2)} > $${getCostThreshold().toFixed(2)}`);
+
+      // Wait for approval (HTTP / terminal / dialog) - doesn't block other requests
+      const { approved, by } = await requestApproval({ requestId, estimate }, { signal: disconnected.signal });
+
+      if (by === 'cancelled') {
+        console.log(`[Cost] Client disconnected while awaiting approval`);
+        return;
+      }
+      if (!approved) {
+        console.log(`[Cost] User rejected expensive request (${by})`);
+        return sendError(res, new ProxyError(402, 'cost_threshold_exceeded', by === 'timeout'
+          ? `Request blocked - approval timed out (estimated cost: $${estimate.totalEstimate.toFixed(2)})`
+          : `Request blocked by user (estimated cost: $${estimate.totalEstimate.toFixed(2)})`));
+      }
+      console.log(`[Cost] User approved expensive request (${by})`);
+    }
+
+    // Reset expensive flag if it was used
+    resetExpensiveFlag();
+
     // 3. Handle streaming vs non-streaming
     if (req.body.stream) {
-      return handleStreaming(req, res, processedMessages, pseudonymizer, vertexModel, startTime, requestId, estimate);
+      return handleStreaming(req, res, upstreamHeaders, processedSystem, processedMessages, pseudonymizer, vertexModel, startTime, requestId, estimate);
     }
 
-    // 4. Non-streaming: forward to Vertex AI
-    const response = await sendMessage({
+    // 4. Non-streaming: forward to Vertex AI (with retries and region failover)
+    const { response, region } = await sendMessage({
       ...req.body,
       model: vertexModel,
+      ...(processedSystem !== undefined && { system: processedSystem }),
       messages: processedMessages,
-    });
+    }, { headers: upstreamHeaders });
+    res.set('X-Vertex-Region', region);
 
-    // 5. Record any tool uses in response (for rate limiting)
-    recordToolUsesFromResponse(response);
+    // 5. Apply tool policies to Claude's tool calls (real values, so approvers see what would run),
+    // then record the ones that go through (for rate limiting)
+    const cleanResponse = await applyToolPolicy(depseudonymizeResponse(response, pseudonymizer), requestId, disconnected.signal);
+    recordToolUsesFromResponse(cleanResponse);
 
     // 6. Record usage and calculate cost
-    recordUsage(response, vertexModel);
+    const attribution = getAttribution(req);
+    const cost = recordUsage(response, vertexModel, { region, ...attribution });
+    recordActualUsage(estimate, response.usage);
 
     // 7. Log to BigQuery asynchronously (non-blocking)
     if (await isInitialized()) {
-      const actualCost = calculateActualCost(response, vertexModel);
+      const actualCost = cost?.totalCost || 0;
       const metadata = formatMetadata({
         timestamp: new Date(),
         request_id: requestId,
         model: vertexModel,
-        region: 'eu',
+        region,
         messages_count: req.body.messages.length,
         system_prompt_length: req.body.system ? JSON.stringify(req.body.system).length : 0,
         stream: false,
@@ -332,10 +416,14 @@ app.post('/v1/messages', async (req, res) => {
         estimated_cost_usd: estimate.totalEstimate,
         actual_input_tokens: response.usage?.input_tokens || 0,
         actual_output_tokens: response.usage?.output_tokens || 0,
+        actual_cache_write_tokens: response.usage?.cache_creation_input_tokens || 0,
+        actual_cache_read_tokens: response.usage?.cache_read_input_tokens || 0,
         actual_cost_usd: actualCost,
         cost_difference: actualCost - estimate.totalEstimate,
         response_time_ms: Date.now() - startTime,
-        user_context: hashUserId(req.get('x-user-id') || 'unknown')
+        user_context: attribution.user,
+        project: attribution.project,
+        pricing_version: cost?.pricingVersion,
       });
 
       // Fire-and-forget: don't await, don't block response
@@ -344,21 +432,65 @@ app.post('/v1/messages', async (req, res) => {
       });
     }
 
-    // 8. De-pseudonymize response
-    const cleanResponse = depseudonymizeResponse(response, pseudonymizer);
-
-    console.log(`[Proxy] ${requestId} completed in ${Date.now() - startTime}ms`);
+    console.log(`[Proxy] ${requestId} completed in ${Date.now() - startTime}ms (${region})`);
     res.json(cleanResponse);
 
   } catch (error) {
-    console.error('[Proxy] Error:', error.message);
-    res.status(error.status || 500).json({
-      type: 'error',
-      error: { type: 'proxy_error', message: error.message }
-    });
+    const { status, body } = sendError(res, error);
+    console.error(`[Proxy] Error: ${status} ${body.error.type} - ${error.message}`);
+  }
+});
+
+// Token counting - matches Anthropic API (POST /v1/messages/count_tokens)
+// Same pseudonymization and model translation as /v1/messages
+app.post('/v1/messages/count_tokens', async (req, res) => {
+  const requestId = randomUUID();
+  const pseudonymizer = new PIIPseudonymizer();
+
+  res.set('X-Request-ID', requestId);
+
+  try {
+    const { headers: upstreamHeaders, unsupportedBetas } = getUpstreamHeaders(req);
+    if (unsupportedBetas.length > 0) {
+      return sendError(res, new ProxyError(400, 'invalid_request_error', describeUnsupportedBetas(unsupportedBetas)));
+    }
+    validateMessagesRequest(req.body);
+
+    const processedSystem = processSystemPrompt(req.body.system, pseudonymizer);
+    const processedMessages = req.body.messages.map((msg) => ({
+      ...msg,
+      content: processMessageContent(msg.content, pseudonymizer)
+    }));
+    const vertexModel = translateModel(req.body.model);
+
+    const { response: result, region } = await countTokens(
+      buildCountTokensParams(req.body, vertexModel, processedSystem, processedMessages),
+      { headers: upstreamHeaders }
+    );
+    res.set('X-Vertex-Region', region);
+
+    console.log(`[Proxy] ${requestId} counted ${result.input_tokens} input tokens (${vertexModel})`);
+    res.json({ input_tokens: result.input_tokens });
+
+  } catch (error) {
+    const { status, body } = sendError(res, error);
+    console.error(`[Proxy] Token count error: ${status} ${body.error.type} - ${error.message}`);
   }
 });
 
+// Build count_tokens params from a request body (only the fields the endpoint accepts)
+function buildCountTokensParams(body, vertexModel, system, messages) {
+  const { tools, tool_choice, thinking } = body;
+  return {
+    model: vertexModel,
+    messages,
+    ...(system !== undefined && { system }),
+    ...(tools !== undefined && { tools }),
+    ...(tool_choice !== undefined && { tool_choice }),
+    ...(thinking !== undefined && { thinking }),
+  };
+}
+
 // Process message content (pseudonymize text)
 function processMessageContent(content, pseudonymizer) {
   if (typeof content === 'string') {
@@ -371,6 +503,11 @@ function processMessageContent(content, pseudonymizer) {
 
   if (Array.isArray(content)) {
     return content.map((block) => {
+      // Thinking blocks are signed by the API and must be sent back byte-for-byte.
+      // They are never de-pseudonymized on the way back, so they only hold tokens already.
+      if (isThinkingBlock(block)) {
+        return block;
+      }
       if (block.type === 'text') {
         const original = block.text;
         const redacted = pseudonymizer.pseudonymize(block.text);
@@ -405,6 +542,18 @@ function processMessageContent(content, pseudonymizer) {
           return { ...block, content: redactedContent };
         }
       }
+      // Handle earlier tool calls (arguments often carry emails/phones from prior turns)
+      if (block.type === 'tool_use' && block.input) {
+        const redactedInput = pseudonymizer.pseudonymizeValue(block.input);
+        if (JSON.stringify(redactedInput) !== JSON.stringify(block.input)) {
+          console.log(`[PII] Tool input redacted: ${block.name}`);
+        }
+        return { ...block, input: redactedInput };
+      }
+      // Handle plain-text documents
+      if (block.type === 'document' && block.source?.type === 'text') {
+        return { ...block, source: { ...block.source, data: pseudonymizer.pseudonymize(block.source.data) } };
+      }
       return block;
     });
   }
@@ -412,69 +561,254 @@ function processMessageContent(content, pseudonymizer) {
   return content;
 }
 
+// Process system prompt (string or array of text blocks)
+function processSystemPrompt(system, pseudonymizer) {
+  if (typeof system === 'string') {
+    const result = pseudonymizer.pseudonymize(system);
+    if (result !== system) {
+      console.log(`[PII] System prompt redacted`);
+    }
+    return result;
+  }
+
+  if (Array.isArray(system)) {
+    return system.map((block) => {
+      if (block.type === 'text' && block.text) {
+        const redacted = pseudonymizer.pseudonymize(block.text);
+        if (redacted !== block.text) {
+          console.log(`[PII] System block redacted`);
+        }
+        return { ...block, text: redacted };
+      }
+      return block;
+    });
+  }
+
+  return system;
+}
+
+// Extended thinking blocks (thinking / redacted_thinking)
+// Rule: never rewrite them in either direction. The signature covers the thinking text,
+// so PII inside thinking stays pseudonymized (tokens only) for the user as well.
+function isThinkingBlock(block) {
+  return block?.type === 'thinking' || block?.type === 'redacted_thinking';
+}
+
 // De-pseudonymize Claude's response
 function depseudonymizeResponse(response, pseudonymizer) {
   if (!response.content) return response;
 
   const cleanContent = response.content.map(block => {
+    // Keep thinking verbatim so the client can send it back with a valid signature
+    if (isThinkingBlock(block)) {
+      return block;
+    }
     if (block.type === 'text') {
       return { ...block, text: pseudonymizer.depseudonymize(block.text) };
     }
+    // Tool arguments must carry real values, or tools search for placeholders literally
+    // (server_tool_use and other blocks with input too, so the client sees what was asked)
+    if (block.input !== undefined) {
+      return { ...block, input: pseudonymizer.depseudonymizeValue(block.input) };
+    }
     return block;
   });
 
   return { ...response, content: cleanContent };
 }
 
+// Write a single server-sent event in Anthropic's wire format
+function writeEvent(res, type, data) {
+  // Client may have disconnected while upstream events were still in flight
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 // Handle streaming responses
-async function handleStreaming(req, res, messages, pseudonymizer, vertexModel, startTime, requestId, estimate) {
+// Relays the full Vertex event sequence (message_start, ping, content_block_start/delta/stop,
+// message_delta, message_stop) with original block indices, restoring PII in text and tool_use deltas
+async function handleStreaming(req, res, upstreamHeaders, system, messages, pseudonymizer, vertexModel, startTime, requestId, estimate) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
-  const stream = streamMessage({ ...req.body, model: vertexModel, messages });
-  let textBuffer = '';
+  const stream = streamMessage({
+    ...req.body,
+    model: vertexModel,
+    ...(system !== undefined && { system }),
+    messages,
+  }, { headers: upstreamHeaders });
+
+  // Per-block restorers (keyed by content block index) to handle placeholders split
+  // across chunks. Text deltas and the partial JSON of any block with input (tool_use,
+  // server_tool_use, ...) are restored the same way, but JSON needs restored values
+  // escaped for string literals.
+  const restorers = new Map();
+
+  // Flush whatever is still buffered for a block as a final delta
+  const flushBlock = (index) => {
+    const restorer = restorers.get(index);
+    restorers.delete(index);
+    const remaining = restorer?.flush();
+    if (!remaining) return;
+
+    const delta = restorer.json
+      ? { type: 'input_json_delta', partial_json: remaining }
+      : { type: 'text_delta', text: remaining };
+    emit('content_block_delta', { type: 'content_block_delta', index, delta });
+  };
 
-  stream.on('text', (text) => {
-    // Buffer to handle token boundaries (e.g., EMAIL_1 split as EMA + IL_1)
-    textBuffer += text;
+  // Tool calls the policy doesn't simply allow are held back until their input is complete
+  // and decided (possibly after an approval); blocked ones become a text block instead
+  const disconnected = new AbortController();
+  const heldToolUses = new Map();  // index → { name, id, json, events }
+  const blockedToolUseIds = new Set();
+  let allowedToolUses = 0;
+
+  // Events of a held block are buffered, everything else goes out right away
+  const emit = (type, data) => {
+    const held = data.index !== undefined && heldToolUses.get(data.index);
+    if (held) {
+      held.events.push([type, data]);
+      if (data.delta?.type === 'input_json_delta') held.json += data.delta.partial_json;
+    } else {
+      writeEvent(res, type, data);
+    }
+  };
 
-    // Check for complete tokens and flush
-    const { clean, remainder } = flushBuffer(textBuffer, pseudonymizer);
-    textBuffer = remainder;
+  const releaseToolUse = async (index) => {
+    const held = heldToolUses.get(index);
+    heldToolUses.delete(index);
 
-    if (clean) {
-      res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-        type: 'content_block_delta',
-        delta: { type: 'text_delta', text: clean }
-      })}\n\n`);
+    let input = held.input;
+    try {
+      if (held.json) input = JSON.parse(held.json);
+    } catch {
+      // Cut-off JSON - the approver sees what the start event had
     }
-  });
+    const decision = await decideToolUse({ name: held.name, input, requestId }, { signal: disconnected.signal });
 
-  stream.on('message', async (message) => {
-    // Flush any remaining buffer
-    if (textBuffer) {
-      const clean = pseudonymizer.depseudonymize(textBuffer);
-      res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-        type: 'content_block_delta',
-        delta: { type: 'text_delta', text: clean }
-      })}\n\n`);
+    if (decision.allowed) {
+      allowedToolUses++;
+      for (const [type, data] of held.events) writeEvent(res, type, data);
+      return;
     }
+    blockedToolUseIds.add(held.id);
+    writeEvent(res, 'content_block_start', { type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+    writeEvent(res, 'content_block_delta', {
+      type: 'content_block_delta', index, delta: { type: 'text_delta', text: describeBlockedToolUse(decision) }
+    });
+  };
 
-    // Record tool uses from streamed response
-    recordToolUsesFromResponse(message);
+  const relayEvent = async (event) => {
+    switch (event.type) {
+      case 'message_start':
+        // First event - headers go out with it, so the serving region is known by now
+        res.setHeader('X-Vertex-Region', stream.region);
+        emit('message_start', event);
+        // The SDK swallows upstream pings, so emit one where the Anthropic API does
+        emit('ping', { type: 'ping' });
+        break;
+
+      case 'content_block_start':
+        if (event.content_block.type === 'text' || event.content_block.input !== undefined) {
+          const json = event.content_block.type !== 'text';
+          restorers.set(event.index, pseudonymizer.createStreamRestorer({ json }));
+        }
+        if (event.content_block.type === 'text' && event.content_block.text) {
+          emit('content_block_start', {
+            ...event,
+            content_block: { ...event.content_block, text: pseudonymizer.depseudonymize(event.content_block.text) }
+          });
+        } else if (event.content_block.type === 'tool_use') {
+          // Input is normally {} here and streamed as partial JSON, but restore it if present
+          const { name, id } = event.content_block;
+          const input = pseudonymizer.depseudonymizeValue(event.content_block.input);
+          if (getToolPolicy(name).action === 'allow') {
+            decideToolUse({ name, input, requestId });  // Logs the decision
+            allowedToolUses++;
+          } else {
+            heldToolUses.set(event.index, { name, id, input, json: '', events: [] });
+          }
+          emit('content_block_start', { ...event, content_block: { ...event.content_block, input } });
+        } else if (event.content_block.input !== undefined) {
+          // server_tool_use (e.g. web search) runs upstream, not held by the policy
+          const input = pseudonymizer.depseudonymizeValue(event.content_block.input);
+          emit('content_block_start', { ...event, content_block: { ...event.content_block, input } });
+        } else {
+          emit('content_block_start', event);
+        }
+        break;
+
+      case 'content_block_delta':
+        if (!restorers.has(event.index)) {
+          // A block type without a restorer - nothing to restore, relay as is
+          emit('content_block_delta', event);
+        } else if (event.delta.type === 'text_delta') {
+          const clean = restorers.get(event.index).push(event.delta.text);
+          if (clean) {
+            emit('content_block_delta', { ...event, delta: { ...event.delta, text: clean } });
+          }
+        } else if (event.delta.type === 'input_json_delta') {
+          // Tool arguments stream as partial JSON - restore tokens so the tool gets real values
+          const clean = restorers.get(event.index).push(event.delta.partial_json);
+          if (clean) {
+            emit('content_block_delta', { ...event, delta: { ...event.delta, partial_json: clean } });
+          }
+        } else {
+          // thinking_delta and signature_delta are relayed verbatim (see isThinkingBlock)
+          emit('content_block_delta', event);
+        }
+        break;
+
+      case 'content_block_stop':
+        flushBlock(event.index);
+        if (heldToolUses.has(event.index)) {
+          await releaseToolUse(event.index);
+        }
+        emit('content_block_stop', event);
+        break;
+
+      case 'message_delta':
+        // Every tool call was blocked - nothing left for Claude Code to run
+        if (event.delta?.stop_reason === 'tool_use' && blockedToolUseIds.size > 0 && allowedToolUses === 0) {
+          emit('message_delta', { ...event, delta: { ...event.delta, stop_reason: 'end_turn' } });
+        } else {
+          emit('message_delta', event);
+        }
+        break;
 
+      default:
+        // message_stop passes through unchanged
+        emit(event.type, event);
+    }
+  };
+
+  // Events go out in order, waiting while a held tool call is decided
+  let relay = Promise.resolve();
+  stream.on('streamEvent', (event) => {
+    relay = relay.then(() => relayEvent(event)).catch((err) => {
+      console.error('[Streaming] Failed to relay event:', err.message);
+    });
+  });
+
+
+  // Record cost and log to BigQuery (for completed and cancelled streams alike)
+  const recordStreamUsage = async (message, cancelled) => {
     // Record usage and calculate cost for streaming
-    recordUsage(message, vertexModel);
+    const attribution = getAttribution(req);
+    const cost = recordUsage(message, vertexModel, { region: stream.region, ...attribution });
+    // Partial output of a cancelled stream says nothing about the next turn
+    if (!cancelled) recordActualUsage(estimate, message.usage);
 
     // Log to BigQuery asynchronously (non-blocking)
     if (await isInitialized()) {
-      const actualCost = calculateActualCost(message, vertexModel);
+      const actualCost = cost?.totalCost || 0;
       const metadata = formatMetadata({
         timestamp: new Date(),
         request_id: requestId,
         model: vertexModel,
-        region: 'eu',
+        region: stream.region,
         messages_count: req.body.messages.length,
         system_prompt_length: req.body.system ? JSON.stringify(req.body.system).length : 0,
         stream: true,
@@ -484,10 +818,15 @@ async function handleStreaming(req, res, messages, pseudonymizer, vertexModel, s
         estimated_cost_usd: estimate.totalEstimate,
         actual_input_tokens: message.usage?.input_tokens || 0,
         actual_output_tokens: message.usage?.output_tokens || 0,
+        actual_cache_write_tokens: message.usage?.cache_creation_input_tokens || 0,
+        actual_cache_read_tokens: message.usage?.cache_read_input_tokens || 0,
         actual_cost_usd: actualCost,
         cost_difference: actualCost - estimate.totalEstimate,
         response_time_ms: Date.now() - startTime,
-        user_context: hashUserId(req.get('x-user-id') || 'unknown')
+        user_context: attribution.user,
+        project: attribution.project,
+        pricing_version: cost?.pricingVersion,
+        cancelled,
       });
 
       // Fire-and-forget: don't await, don't block response
@@ -495,44 +834,64 @@ async function handleStreaming(req, res, messages, pseudonymizer, vertexModel, s
         console.error('[BigQuery] Async log error (streaming):', err.message);
       });
     }
+  };
 
-    res.write(`event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`);
-    res.end();
-  });
+  // Emitted after message_stop has been relayed
+  stream.on('message', async (message) => {
+    await relay;
+
+    // Record tool uses from streamed response (blocked ones never ran)
+    recordToolUsesFromResponse({
+      ...message,
+      content: message.content.filter(block => !blockedToolUseIds.has(block.id)),
+    });
+
+    await recordStreamUsage(message, false);
 
-  stream.on('error', (error) => {
-    console.error('[Streaming] Error:', error.message);
-    res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
     res.end();
   });
-}
 
-// Flush buffer while keeping potential partial tokens
-function flushBuffer(buffer, pseudonymizer) {
-  // Look for potential token start (e.g., "EMAIL", "PHONE", "BSN", etc.)
-  const tokenPrefixes = ['EMAIL', 'PHONE', 'BSN', 'IBAN', 'POSTCODE', 'UUID'];
-
-  // Find last potential token boundary
-  let cutoff = buffer.length;
-  for (const prefix of tokenPrefixes) {
-    const lastIndex = buffer.lastIndexOf(prefix);
-    if (lastIndex !== -1 && lastIndex > buffer.length - 20) {
-      // Potential partial token - keep it in buffer
-      cutoff = Math.min(cutoff, lastIndex);
+  // Client went away (e.g. Ctrl-C in Claude Code) - stop paying for output nobody reads
+  res.on('close', () => {
+    if (res.writableEnded) return;
+
+    disconnected.abort();
+    stream.abort();
+    const partial = stream.currentMessage;
+    console.log(`[Streaming] ${requestId} client disconnected - aborted upstream stream`);
+
+    // Nothing billed if Vertex AI hadn't started the message yet
+    if (partial) {
+      recordStreamUsage({ ...partial, usage: getConsumedUsage(partial) }, true);
     }
-  }
+  });
 
-  const toFlush = buffer.substring(0, cutoff);
-  const remainder = buffer.substring(cutoff);
+  // Errors before the first event still get a proper HTTP status; later ones an SSE error event
+  stream.on('error', (error) => {
+    relay = relay.then(() => {
+      const { status, body } = sendError(res, error);
+      console.error(`[Streaming] Error: ${status} ${body.error.type} - ${error.message}`);
+    });
+  });
+}
 
-  return {
-    clean: pseudonymizer.depseudonymize(toFlush),
-    remainder
-  };
+// Usage consumed by a stream that was cut short
+// output_tokens is only final in message_delta, so estimate it from the generated content
+// (~4 chars per token) when the stream was aborted before that
+function getConsumedUsage(partialMessage) {
+  const usage = { ...partialMessage.usage };
+  const generatedChars = (partialMessage.content || []).reduce((chars, block) => {
+    if (block.type === 'text') return chars + (block.text || '').length;
+    if (block.type === 'thinking') return chars + (block.thinking || '').length;
+    if (block.type === 'tool_use') return chars + JSON.stringify(block.input || {}).length;
+    return chars;
+  }, 0);
+  usage.output_tokens = Math.max(usage.output_tokens || 0, Math.ceil(generatedChars / 4));
+  return usage;
 }
 
 // Find tools in conversation that are over their rate limit
-function findToolsOverLimit(messages) {
+function findToolOverLimit(messages) {
   const toolsSeen = new Set();
 
   for (const msg of messages || []) {
@@ -545,7 +904,86 @@ function findToolsOverLimit(messages) {
     }
   }
 
-  return Array.from(toolsSeen).filter(tool => isOverLimit(tool));
+  for (const tool of toolsSeen) {
+    const limited = checkLimit(tool);
+    if (limited) return { tool, ...limited };
+  }
+  return null;
+}
+
+// Soft enforcement: drop over-limit tools from the request's tools, so Claude can't call them,
+// and tell Claude why in the system prompt. Earlier calls in the history stay as they are.
+function removeToolsOverLimit(body) {
+  const removed = [];
+  const tools = (body.tools || []).filter((tool) => {
+    const limited = tool.name && checkLimit(tool.name);
+    if (limited) removed.push({ tool: tool.name, ...limited });
+    return !limited;
+  });
+  if (removed.length === 0) return { body, removed };
+
+  for (const { tool, key, limit, window } of removed) {
+    console.log(`[RateLimit] Removed ${tool} from tools (${key}: ${limit} calls per ${window})`);
+  }
+
+  // Forcing a removed tool (or any tool, when none are left) would be rejected upstream
+  let toolChoice = body.tool_choice;
+  if ((toolChoice?.type === 'tool' && removed.some(({ tool }) => tool === toolChoice.name)) ||
+      (toolChoice?.type === 'any' && tools.length === 0)) {
+    toolChoice = tools.length > 0 ? { type: 'auto' } : undefined;
+  }
+
+  // No countdown in the note: it would change the system prompt every minute and miss the prompt cache
+  const note = 'The following tools are temporarily unavailable because their rate limit was reached: ' +
+    removed.map(({ tool, limit, window }) => `${tool} (${limit} calls per ${window})`).join('; ') +
+    '. Do not try to call them. Tell the user if the task needs them.';
+  const { tool_choice: _, ...rest } = body;
+  return {
+    body: {
+      ...rest,
+      tools,
+      system: appendSystemNote(body.system, note),
+      ...(toolChoice !== undefined && { tool_choice: toolChoice }),
+    },
+    removed,
+  };
+}
+
+// Proxy notice for Claude at the end of the system prompt (string or block array)
+function appendSystemNote(system, note) {
+  if (Array.isArray(system)) return [...system, { type: 'text', text: note }];
+  return system ? `${system}\n\n${note}` : note;
+}
+
+// "45s", "12 min", "3 h"
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+  return `${Math.ceil(seconds / 3600)} h`;
+}
+
+// Check each tool call in a (de-pseudonymized) response against the tool policies
+// Blocked calls are replaced by a text block saying why, so Claude Code never runs them
+async function applyToolPolicy(response, requestId, signal) {
+  if (!response.content?.some(block => block.type === 'tool_use')) return response;
+
+  const content = [];
+  for (const block of response.content) {
+    if (block.type !== 'tool_use') {
+      content.push(block);
+      continue;
+    }
+    const decision = await decideToolUse({ name: block.name, input: block.input, requestId }, { signal });
+    content.push(decision.allowed ? block : { type: 'text', text: describeBlockedToolUse(decision) });
+  }
+
+  // Every tool call was blocked - nothing left for Claude Code to run
+  const callsTools = content.some(block => block.type === 'tool_use');
+  return {
+    ...response,
+    content,
+    ...(response.stop_reason === 'tool_use' && !callsTools && { stop_reason: 'end_turn' }),
+  };
 }
 
 // Record tool uses from Claude's response
@@ -559,12 +997,31 @@ function recordToolUsesFromResponse(response) {
   }
 }
 
+// Errors no route handled (malformed JSON, body too large, bugs) - same error shape as the rest
+app.use((err, req, res, next) => {
+  const { status, body } = sendError(res, err);
+  console.error(`[Proxy] ${req.method} ${req.path} failed: ${status} ${body.error.type} - ${err.message}`);
+});
+
 // Start server
 const PORT = process.env.PORT || 3030;
 app.listen(PORT, () => {
   console.log(`[Proxy] Claude EU Proxy running on http://localhost:${PORT}`);
-  console.log(`[Proxy] Region: ${process.env.VERTEX_REGION || 'europe-west1'}`);
+  console.log(`[Proxy] Regions: ${getRegions().join(' → ')}`);
   console.log(`[Proxy] Project: ${process.env.GCP_PROJECT_ID || 'woolsocks-marketing-ai'}`);
   console.log(`[Proxy] Set: export ANTHROPIC_BASE_URL=http://localhost:${PORT}`);
-  console.log(`[Proxy] Rate limits active:`, getStats() || 'none yet');
+  watchConfig();
+  const servers = Object.entries(getStats().servers).filter(([, windows]) => windows.day?.count > 0);
+  console.log(`[Proxy] Rate limit usage (last 24h):`, servers.length > 0
+    ? Object.fromEntries(servers.map(([server, windows]) => [server, windows.day.count]))
+    : 'none');
 });
+
+// Costs are written to the history journal in the background - flush them before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    saveRateLimitState();
+    await flushCostHistory({ compact: true });
+    process.exit(0);
+  });
+}
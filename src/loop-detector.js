@@ -0,0 +1,111 @@
+// src/loop-detector.js - Detect agents stuck calling the same tool with the same arguments
+// Every request carries the whole conversation, so the history since the user last typed
+// something is scanned for tool_use blocks with an identical fingerprint (tool name + input).
+// Once the latest call has been made loops.threshold times, the loop is handled according to
+// loops.action (see the config).
+
+import { createHash } from 'crypto';
+import { getConfig } from './config.js';
+
+const MAX_EVENTS = 100;
+const events = [];       // Most recent loop events, newest last
+const byTool = {};       // Tool → loops detected since start
+
+// JSON with sorted keys, so { a, b } and { b, a } fingerprint the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of a tool call: same tool with the same input → same fingerprint
+ * @returns {string} 16 hex chars
+ */
+export function fingerprintToolUse(name, input) {
+  return createHash('sha256').update(`${name}\n${canonicalJson(input)}`).digest('hex').slice(0, 16);
+}
+
+function toolUses(message) {
+  return Array.isArray(message?.content)
+    ? message.content.filter(block => block.type === 'tool_use' && block.name)
+    : [];
+}
+
+// The agent is working on its own: the user turn only returns tool results
+function isAgentTurn(message) {
+  return message?.role === 'user' &&
+    Array.isArray(message.content) &&
+    message.content.length > 0 &&
+    message.content.every(block => block.type === 'tool_result');
+}
+
+/**
+ * Check a conversation for a tool call repeated with identical input
+ * @param {Array} messages - Request messages (full history)
+ * @param {object} [context]
+ * @param {string} [context.requestId] - Proxy request ID (X-Request-ID), kept with the event
+ * @returns {object|null} { tool, fingerprint, count, threshold, action } if the latest turn is in a loop
+ */
+export function checkForLoop(messages, { requestId } = {}) {
+  if (!Array.isArray(messages) || !isAgentTurn(messages.at(-1))) return null;
+
+  const lastAssistant = messages.findLast(msg => msg.role === 'assistant');
+  const latest = toolUses(lastAssistant);
+  if (latest.length === 0) return null;
+
+  // Once the user types something, an earlier loop no longer counts: only the calls made
+  // since the last user message that isn't just tool results
+  const typedAt = messages.findLastIndex(msg => msg?.role === 'user' && !isAgentTurn(msg));
+  const counts = new Map();
+  for (const msg of messages.slice(typedAt + 1)) {
+    if (msg.role !== 'assistant') continue;
+    for (const block of toolUses(msg)) {
+      const fingerprint = fingerprintToolUse(block.name, block.input);
+      counts.set(fingerprint, (counts.get(fingerprint) || 0) + 1);
+    }
+  }
+
+  // The most repeated of the calls just made
+  const { threshold, action } = getConfig().loops;
+  let loop = null;
+  for (const block of latest) {
+    const fingerprint = fingerprintToolUse(block.name, block.input);
+    const count = counts.get(fingerprint);
+    if (count >= threshold && (!loop || count > loop.count)) {
+      loop = { tool: block.name, fingerprint, count, threshold, action };
+    }
+  }
+  if (!loop) return null;
+
+  console.log(`[Loop] ${loop.tool} called ${loop.count}x with identical input (${loop.fingerprint}) - ${loop.action}`);
+  byTool[loop.tool] = (byTool[loop.tool] || 0) + 1;
+  events.push({ ...loop, requestId: requestId || null, at: new Date().toISOString() });
+  if (events.length > MAX_EVENTS) events.shift();
+  return loop;
+}
+
+/**
+ * Note for Claude's system prompt (loops.action: notice)
+ */
+export function describeLoop(loop) {
+  return `You have called ${loop.tool} ${loop.count} times since the user's last message with exactly the same input. ` +
+    'Repeating it will return the same result. Stop calling it with this input: use the results you already have, ' +
+    'try a different approach, or ask the user how to proceed.';
+}
+
+/**
+ * Loop detection settings and events (newest first), for /stats
+ */
+export function getLoopStats() {
+  const { threshold, action } = getConfig().loops;
+  return {
+    threshold,
+    action,
+    detected: Object.values(byTool).reduce((sum, count) => sum + count, 0),
+    byTool: { ...byTool },
+    recentEvents: [...events].reverse(),
+  };
+}
@@ -0,0 +1,119 @@
+// src/models.js - Model catalog for the proxy
+// Maps Anthropic API model IDs to Vertex AI model IDs
+// Only models listed in the model map (models.map in the config) are enabled in our
+// Vertex AI Model Garden
+
+import { getModelPricing } from './pricing.js';
+import { getConfig } from './config.js';
+
+// Model name translation: Anthropic API → Vertex AI
+// Claude Code sends model names with dashes, Vertex AI uses @ for version
+function modelMap() {
+  return getConfig().models.map;
+}
+
+const DATE_SUFFIX = /-(\d{8})$/;
+
+// Dynamic translation: convert -YYYYMMDD to @YYYYMMDD for any model
+export function translateModel(model) {
+  // First check the configured map
+  if (Object.hasOwn(modelMap(), model)) {
+    const translated = modelMap()[model];
+    console.log(`[Model] Translated: ${model} → ${translated}`);
+    return translated;
+  }
+
+  // Dynamic: replace trailing -YYYYMMDD with @YYYYMMDD
+  if (DATE_SUFFIX.test(model)) {
+    const translated = model.replace(DATE_SUFFIX, '@$1');
+    console.log(`[Model] Translated: ${model} → ${translated}`);
+    return translated;
+  }
+
+  return model;
+}
+
+// Release date of a model ID, taken from its own date suffix or its dated sibling
+// (aliases like "claude-sonnet-4" share the date of "claude-sonnet-4-20250514")
+function getReleaseDate(id) {
+  const dated = DATE_SUFFIX.test(id)
+    ? id
+    : Object.keys(modelMap()).find(key => key.replace(DATE_SUFFIX, '') === id && DATE_SUFFIX.test(key));
+  const match = dated?.match(DATE_SUFFIX);
+  if (!match) return null;
+  const [, date] = match;
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T00:00:00Z`;
+}
+
+// Build an Anthropic-compatible model object, extended with Vertex ID and EU pricing
+function describeModel(id) {
+  const vertexId = modelMap()[id];
+  const family = id.replace(DATE_SUFFIX, '');
+  const pricing = getModelPricing(vertexId);
+
+  return {
+    type: 'model',
+    id,
+    // Human-readable names are keyed by model family, without date
+    display_name: getConfig().models.displayNames?.[family] || family,
+    created_at: getReleaseDate(id),
+    vertex_id: vertexId,
+    pricing: {
+      region: 'europe-west1',
+      currency: 'USD',
+      input_per_1m: pricing.input,
+      output_per_1m: pricing.output,
+      cache_write_per_1m: pricing.cacheWrite,
+      cache_read_per_1m: pricing.cacheRead,
+    },
+  };
+}
+
+/**
+ * Look up a single model (Anthropic model ID)
+ * @param {string} id - Model ID as sent by Claude Code
+ * @returns {object|null} Model object, or null if not enabled in Model Garden
+ */
+export function getModel(id) {
+  if (!Object.hasOwn(modelMap(), id)) return null;
+  return describeModel(id);
+}
+
+/**
+ * List enabled models in Anthropic's paginated list format
+ * @param {object} [options]
+ * @param {number|string} [options.limit=20] - Page size (1-1000)
+ * @param {string} [options.afterId] - Return models after this ID
+ * @param {string} [options.beforeId] - Return models before this ID
+ * @returns {object} { data, has_more, first_id, last_id }
+ */
+export function listModels({ limit = 20, afterId, beforeId } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 1000);
+
+  // Newest first, like the Anthropic API
+  let ids = Object.keys(modelMap()).sort((a, b) =>
+    (getReleaseDate(b) || '').localeCompare(getReleaseDate(a) || '') || a.localeCompare(b)
+  );
+
+  let hasMore = false;
+  if (afterId && ids.includes(afterId)) {
+    ids = ids.slice(ids.indexOf(afterId) + 1);
+    hasMore = ids.length > pageSize;
+    ids = ids.slice(0, pageSize);
+  } else if (beforeId && ids.includes(beforeId)) {
+    ids = ids.slice(0, ids.indexOf(beforeId));
+    hasMore = ids.length > pageSize;
+    ids = ids.slice(-pageSize);
+  } else {
+    hasMore = ids.length > pageSize;
+    ids = ids.slice(0, pageSize);
+  }
+
+  const data = ids.map(describeModel);
+  return {
+    data,
+    has_more: hasMore,
+    first_id: data[0]?.id ?? null,
+    last_id: data.at(-1)?.id ?? null,
+  };
+}
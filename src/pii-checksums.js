@@ -0,0 +1,193 @@
+// src/pii-checksums.js - Check digit validation for the PII patterns in pii.js
+// A regex only says "looks like a BSN"; most identifiers carry a check digit or letter,
+// so a random 9- or 11-digit number (order ID, timestamp, SQL row) almost never passes.
+// Each validator takes the text the regex matched, separators and all.
+
+// Separators allowed by the patterns: spaces, dots, dashes
+function compact(value) {
+  return value.replace(/[\s.-]/g, '').toUpperCase();
+}
+
+function digitsOf(value) {
+  return [...value].map(Number);
+}
+
+// Remainder of a long digit string, a few digits at a time (too long for a Number)
+function mod97(digits) {
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(`${remainder}${digits.slice(i, i + 7)}`) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * IBAN (ISO 13616): country + check digits moved to the end, letters as 10-35, mod 97 = 1
+ */
+export function isValidIban(value) {
+  const iban = compact(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const digits = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  return mod97(digits) === 1;
+}
+
+// IBAN length per country (SWIFT IBAN registry): the markets we serve and the rest of SEPA
+const IBAN_LENGTHS = {
+  AD: 24, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20, ES: 24,
+  FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26, IT: 27, LI: 21,
+  LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15, PL: 28, PT: 25, RO: 24, SE: 24,
+  SI: 19, SK: 24, SM: 27, VA: 22,
+};
+
+// Prefix of value holding the first `count` letters/digits, or null if it has fewer
+function prefixWithChars(value, count) {
+  let seen = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (/[A-Z0-9]/i.test(value[i]) && ++seen === count) return value.slice(0, i + 1);
+  }
+  return null;
+}
+
+/**
+ * Cut an IBAN regex match down to the IBAN itself. The 4-character groups of the pattern
+ * also take the next word ("BE68 5390 0754 7034 with" - " with" is a group too), which
+ * would fail the checksum and let the real IBAN through in strict mode.
+ * Known countries: the country's IBAN length. Others: the longest run of whole groups
+ * that passes the checksum. Cuts only where a word ends; otherwise the match is kept.
+ * @param {string} value - Text the IBAN pattern matched
+ * @returns {string} The IBAN at the start of value (value itself if it can't be cut)
+ */
+export function trimIban(value) {
+  const length = IBAN_LENGTHS[value.slice(0, 2).toUpperCase()];
+  if (length) {
+    const iban = prefixWithChars(value, length);
+    return iban && !/[A-Z0-9]/i.test(value[iban.length] ?? '') ? iban : value;
+  }
+  for (let end = value.search(/\s\S*$/); end > 0; end = value.slice(0, end).search(/\s\S*$/)) {
+    if (isValidIban(value.slice(0, end))) return value.slice(0, end);
+  }
+  return value;
+}
+
+/**
+ * Payment card number: Luhn check digit
+ */
+export function isValidLuhn(value) {
+  const digits = digitsOf(compact(value)).reverse();
+  const sum = digits.reduce((total, digit, i) => {
+    if (i % 2 === 0) return total + digit;
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * Dutch BSN: 11-proef, 9×d1 + 8×d2 + … + 2×d8 − d9 divisible by 11
+ */
+export function isValidBsn(value) {
+  const digits = digitsOf(compact(value));
+  if (digits.length !== 9 || digits.every(digit => digit === 0)) return false;
+  const sum = digits.slice(0, 8).reduce((total, digit, i) => total + digit * (9 - i), 0) - digits[8];
+  return sum % 11 === 0;
+}
+
+/**
+ * German Steuer-ID: no leading zero, check digit by ISO 7064 MOD 11,10
+ */
+export function isValidSteuerId(value) {
+  const digits = digitsOf(compact(value));
+  if (digits.length !== 11 || digits[0] === 0) return false;
+  let product = 10;
+  for (const digit of digits.slice(0, 10)) {
+    const sum = (digit + product) % 10 || 10;
+    product = (sum * 2) % 11;
+  }
+  return (11 - product) % 10 === digits[10];
+}
+
+/**
+ * French NIR: key = 97 − (first 13 digits mod 97)
+ */
+export function isValidNir(value) {
+  const nir = compact(value);
+  if (!/^\d{15}$/.test(nir)) return false;
+  return 97 - mod97(nir.slice(0, 13)) === Number(nir.slice(13));
+}
+
+/**
+ * Belgian Rijksregisternummer: check = 97 − (first 9 digits mod 97),
+ * with a 2 in front of those digits for people born from 2000
+ */
+export function isValidRrn(value) {
+  const rrn = compact(value);
+  if (!/^\d{11}$/.test(rrn)) return false;
+  const check = Number(rrn.slice(9));
+  return 97 - mod97(rrn.slice(0, 9)) === check || 97 - mod97(`2${rrn.slice(0, 9)}`) === check;
+}
+
+// Codice Fiscale: characters in odd positions (1st, 3rd, …) map through this table,
+// indexed by digit value or letter (A = 0)
+const CF_ODD = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+/**
+ * Italian Codice Fiscale: control letter from the first 15 characters
+ */
+export function isValidCodiceFiscale(value) {
+  const cf = compact(value);
+  if (!/^[A-Z0-9]{15}[A-Z]$/.test(cf)) return false;
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const char = cf[i];
+    const index = /\d/.test(char) ? Number(char) : char.charCodeAt(0) - 65;
+    sum += i % 2 === 0 ? CF_ODD[index] : index;
+  }
+  return String.fromCharCode(65 + (sum % 26)) === cf[15];
+}
+
+// Spanish DNI / NIE control letters, indexed by number mod 23
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+/**
+ * Spanish NIF (DNI): 8 digits + control letter
+ */
+export function isValidNif(value) {
+  const nif = compact(value);
+  if (!/^\d{8}[A-Z]$/.test(nif)) return false;
+  return DNI_LETTERS[Number(nif.slice(0, 8)) % 23] === nif[8];
+}
+
+/**
+ * Spanish NIE: X / Y / Z stand for 0 / 1 / 2, then checked like a NIF
+ */
+export function isValidNie(value) {
+  const nie = compact(value);
+  if (!/^[XYZ]\d{7}[A-Z]$/.test(nie)) return false;
+  return isValidNif(`${'XYZ'.indexOf(nie[0])}${nie.slice(1)}`);
+}
+
+/**
+ * Irish PPS number: 7 digits weighted 8…2, plus 9× the second letter if any (A = 1, W = 0),
+ * mod 23 gives the check letter (0 = W)
+ */
+export function isValidPps(value) {
+  const pps = compact(value);
+  const match = pps.match(/^(\d{7})([A-W])([A-IW]?)$/);
+  if (!match) return false;
+  const [, number, check, suffix] = match;
+  let sum = digitsOf(number).reduce((total, digit, i) => total + digit * (8 - i), 0);
+  if (suffix && suffix !== 'W') sum += 9 * (suffix.charCodeAt(0) - 64);
+  const remainder = sum % 23;
+  return (remainder === 0 ? 'W' : String.fromCharCode(64 + remainder)) === check;
+}
+
+/**
+ * UK National Insurance number: no check digit, but HMRC never issues some prefixes
+ * (D, F, I, Q, U, V; O second; BG, GB, KN, NK, NT, TN, ZZ) and the suffix is A-D
+ */
+export function isValidUkNin(value) {
+  const nin = compact(value);
+  if (!/^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(nin)) return false;
+  return !['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ'].includes(nin.slice(0, 2));
+}
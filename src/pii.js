@@ -1,5 +1,11 @@
 // src/pii.js - PII detection, pseudonymization, and restoration
 // Supports all Woolsocks markets (NL, DE, BE, FR, IT, ES, IE) + UK and EU
+import { createHmac, randomBytes } from 'crypto';
+import { getConfig, onConfigChange } from './config.js';
+import {
+  isValidIban, trimIban, isValidLuhn, isValidBsn, isValidSteuerId, isValidNir, isValidRrn,
+  isValidCodiceFiscale, isValidNif, isValidNie, isValidPps, isValidUkNin
+} from './pii-checksums.js';
 
 // ============================================================================
 // PATTERN DEFINITIONS BY TYPE
@@ -82,14 +88,14 @@ const NATIONAL_ID_PATTERNS = {
 // ============================================================================
 // WHITELISTED DOMAINS (service accounts - never redact)
 // These are used for API authentication and must pass through unchanged
+// (pii.whitelistedEmailDomains in the config)
 // ============================================================================
 
-const WHITELISTED_EMAIL_DOMAINS = [
-  'woolsocks.eu',
-  'apcreation.nl',
-  'woolsocks.com',
-  'sniptech.nl',
-];
+let WHITELISTED_EMAIL_DOMAINS = prepareDomains(getConfig().pii);
+
+function prepareDomains(pii) {
+  return (pii.whitelistedEmailDomains || []).map(domain => domain.toLowerCase());
+}
 
 // Helper to check if email should be whitelisted
 function isWhitelistedEmail(email) {
@@ -113,17 +119,19 @@ function isZendeskSystemId(text) {
 // ============================================================================
 // TOKEN PATTERNS (protect from false positive redaction)
 // These are API tokens that might contain digit sequences matching PII patterns
+// (pii.tokenPatterns in the config: Slack, Sentry and generic hex tokens by default)
 // ============================================================================
 
-const TOKEN_PATTERNS = [
-  // Slack tokens: xoxb-, xoxp-, xoxa-, xoxs-, xoxr-
-  /xox[bpars]-[\w-]+/g,
-  // Sentry tokens
-  /sntryu_[\w]+/g,
-  /sntrys_[\w]+/g,
-  // Generic API tokens (32+ hex chars)
-  /\b[a-f0-9]{32,}\b/gi,
-];
+let TOKEN_PATTERNS = prepareTokenPatterns(getConfig().pii);
+
+function prepareTokenPatterns(pii) {
+  return (pii.tokenPatterns || []).map(({ pattern, ignoreCase }) => new RegExp(pattern, ignoreCase ? 'gi' : 'g'));
+}
+
+onConfigChange(({ pii }) => {
+  WHITELISTED_EMAIL_DOMAINS = prepareDomains(pii);
+  TOKEN_PATTERNS = prepareTokenPatterns(pii);
+});
 
 // Placeholder for protected tokens
 const TOKEN_PLACEHOLDER_PREFIX = '__PROTECTED_TOKEN_';
@@ -153,6 +161,50 @@ function restoreTokens(text) {
   return result;
 }
 
+// ============================================================================
+// PLACEHOLDER FORMAT
+// [[TYPE_N~tag]] - e.g. [[EMAIL_1~kqzvx]], [[CODICE_FISCALE_2~bmwte]]
+// The tag is an HMAC of the value under a per-process secret. The same history gives
+// byte-identical placeholders on every turn (Vertex prompt caching keeps working, and
+// placeholders inside signed thinking blocks from earlier turns still resolve), while
+// text that merely looks like a placeholder (a literal "EMAIL_1", Zendesk IDs like
+// 1PHONE_NL_1698, or a placeholder for some other value) is never "restored" by mistake
+// ============================================================================
+
+const TAG_LENGTH = 5;
+const TAG_SECRET = randomBytes(32);
+const PLACEHOLDER_PATTERN = /\[\[[A-Z][A-Z0-9_]*_\d+~[a-z]{5}\]\]/g;
+
+// Any prefix of a placeholder, anchored at the end of a buffer (e.g., "[[EMA", "[[EMAIL_1~kq")
+const PARTIAL_PLACEHOLDER_PATTERN = /^\[(?:\[(?:[A-Z][A-Z0-9_]*(?:~[a-z]{0,5}\]?)?)?)?$/;
+
+// Longest placeholder we expect; older '[' positions can't start a pending placeholder
+const MAX_PLACEHOLDER_LENGTH = 64;
+
+// 5 lowercase letters derived from the value (not reversible without the secret)
+function createTag(type, value) {
+  const digest = createHmac('sha256', TAG_SECRET).update(`${type}\n${value}`).digest();
+  let tag = '';
+  for (let i = 0; i < TAG_LENGTH; i++) {
+    tag += String.fromCharCode(97 + (digest[i] % 26));
+  }
+  return tag;
+}
+
+// Find where a possibly incomplete placeholder starts at the end of a buffer
+// Returns buffer.length when everything can be flushed safely
+function findPartialPlaceholder(buffer) {
+  const windowStart = Math.max(0, buffer.length - MAX_PLACEHOLDER_LENGTH);
+  let index = buffer.indexOf('[', windowStart);
+  while (index !== -1) {
+    if (PARTIAL_PLACEHOLDER_PATTERN.test(buffer.slice(index))) {
+      return index;
+    }
+    index = buffer.indexOf('[', index + 1);
+  }
+  return buffer.length;
+}
+
 // ============================================================================
 // COMBINED PATTERNS ARRAY
 // Order matters: more specific patterns first to avoid conflicts
@@ -163,19 +215,26 @@ const PATTERNS = [
   // Email: skip whitelisted domains (service accounts for auth)
   { type: 'EMAIL', regex: /[\w.-]+@[\w.-]+\.\w{2,}/gi, filter: isWhitelistedEmail },
   // IBAN: 2 letters (country) + 2 digits (check) + 10-30 alphanumeric (BBAN varies by country)
-  // Supports both compact (DE89370400440532013000) and spaced (NL91 ABNA 0417 1643 00) formats
-  { type: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4})+(?:\s?[A-Z0-9]{1,4})?\b/gi },
+  // Supports both compact (DE89370400440532013000) and spaced (NL91 ABNA 0417 1643 00) formats.
+  // The groups can run into the next word ("... 7034 with"), so trim cuts the match back
+  { type: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4})+(?:\s?[A-Z0-9]{1,4})?\b/gi, validate: isValidIban, trim: trimIban },
+  // Payment cards: 16 digits starting 2-6 (Visa, Mastercard, Discover) or Amex 4-6-5
+  {
+    type: 'CARD',
+    regex: /\b(?:[2-6]\d{3}(?:[\s-]?\d{4}){3}|3[47]\d{2}[\s-]?\d{6}[\s-]?\d{5})\b/g,
+    validate: isValidLuhn,
+  },
 
   // === National IDs (most specific, check before generic numbers) ===
-  { type: 'CODICE_FISCALE', regex: NATIONAL_ID_PATTERNS.IT_CF },
-  { type: 'UK_NIN', regex: NATIONAL_ID_PATTERNS.UK_NIN },
-  { type: 'PPS', regex: NATIONAL_ID_PATTERNS.IE_PPS },
-  { type: 'NIF', regex: NATIONAL_ID_PATTERNS.ES_NIF },
-  { type: 'NIE', regex: NATIONAL_ID_PATTERNS.ES_NIE },
-  { type: 'NIR', regex: NATIONAL_ID_PATTERNS.FR_NIR },
-  { type: 'RRN', regex: NATIONAL_ID_PATTERNS.BE_RRN },
-  { type: 'BSN', regex: NATIONAL_ID_PATTERNS.NL_BSN },
-  { type: 'STEUER_ID', regex: NATIONAL_ID_PATTERNS.DE_STEUER },
+  { type: 'CODICE_FISCALE', regex: NATIONAL_ID_PATTERNS.IT_CF, validate: isValidCodiceFiscale },
+  { type: 'UK_NIN', regex: NATIONAL_ID_PATTERNS.UK_NIN, validate: isValidUkNin },
+  { type: 'PPS', regex: NATIONAL_ID_PATTERNS.IE_PPS, validate: isValidPps },
+  { type: 'NIF', regex: NATIONAL_ID_PATTERNS.ES_NIF, validate: isValidNif },
+  { type: 'NIE', regex: NATIONAL_ID_PATTERNS.ES_NIE, validate: isValidNie },
+  { type: 'NIR', regex: NATIONAL_ID_PATTERNS.FR_NIR, validate: isValidNir },
+  { type: 'RRN', regex: NATIONAL_ID_PATTERNS.BE_RRN, validate: isValidRrn },
+  { type: 'BSN', regex: NATIONAL_ID_PATTERNS.NL_BSN, validate: isValidBsn },
+  { type: 'STEUER_ID', regex: NATIONAL_ID_PATTERNS.DE_STEUER, validate: isValidSteuerId },
 
   // === Phone numbers (require country code to avoid false positives) ===
   { type: 'PHONE_NL', regex: PHONE_PATTERNS.NL },
@@ -197,14 +256,34 @@ const PATTERNS = [
   // The national ID patterns above catch the more sensitive identifiers
 ];
 
+// ============================================================================
+// VALIDATION MODE (pii.validation in the config, VALIDATION_MODES in config.js)
+// strict: IBANs, card numbers and national IDs are only redacted when their check
+//         digit / letter is right (see pii-checksums.js) - order numbers, timestamps
+//         and SQL results that merely have the right length pass through
+// aggressive: redact every regex match, valid or not
+// ============================================================================
+
+// Part of a regex match that is the PII itself (pattern's trim, e.g. IBAN without the next word)
+function trimMatch(trim, match) {
+  return trim ? trim(match) : match;
+}
+
+// A regex match that fails its checksum in strict mode isn't PII
+function failsValidation(validate, match, mode) {
+  return mode === 'strict' && validate !== undefined && !validate(match);
+}
+
 // ============================================================================
 // PSEUDONYMIZATION CLASS
 // ============================================================================
 
 export class PIIPseudonymizer {
-  constructor() {
+  // mode: strict or aggressive (default: pii.validation from the config at creation)
+  constructor({ mode = getConfig().pii.validation } = {}) {
     this.mappings = new Map();  // TOKEN -> original
     this.counters = {};         // type -> count
+    this.mode = mode;
   }
 
   pseudonymize(text) {
@@ -214,28 +293,34 @@ export class PIIPseudonymizer {
     let result = protectTokens(text);
 
     // Step 2: Apply PII patterns
-    for (const { type, regex, filter } of PATTERNS) {
+    for (const { type, regex, filter, validate, trim } of PATTERNS) {
       // Reset regex lastIndex for global patterns
       regex.lastIndex = 0;
 
-      result = result.replace(regex, (match) => {
+      result = result.replace(regex, (fullMatch) => {
+        const match = trimMatch(trim, fullMatch);
+        const rest = fullMatch.slice(match.length);
         // Skip Zendesk system IDs (brand/field IDs, not PII)
         if (isZendeskSystemId(match)) {
-          return match;
+          return fullMatch;
         }
         // Skip if whitelisted (e.g., service account emails)
         if (filter && filter(match)) {
-          return match;
+          return fullMatch;
+        }
+        // Skip look-alikes with a wrong check digit (strict mode)
+        if (failsValidation(validate, match, this.mode)) {
+          return fullMatch;
         }
         // Check if already mapped (same PII appearing twice)
         for (const [token, original] of this.mappings) {
-          if (original === match) return token;
+          if (original === match) return token + rest;
         }
         // Create new token
         this.counters[type] = (this.counters[type] || 0) + 1;
-        const token = `${type}_${this.counters[type]}`;
+        const token = `[[${type}_${this.counters[type]}~${createTag(type, match)}]]`;
         this.mappings.set(token, match);
-        return token;
+        return token + rest;
       });
     }
 
@@ -245,14 +330,51 @@ export class PIIPseudonymizer {
     return result;
   }
 
+  // Pseudonymize any JSON-like value (e.g., tool_use input objects)
+  // Walks arrays and objects recursively; only string values are rewritten
+  pseudonymizeValue(value) {
+    if (typeof value === 'string') return this.pseudonymize(value);
+    if (Array.isArray(value)) return value.map(item => this.pseudonymizeValue(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.pseudonymizeValue(item)])
+      );
+    }
+    return value;
+  }
+
   depseudonymize(text) {
     if (!text || typeof text !== 'string') return text;
 
-    let result = text;
-    for (const [token, original] of this.mappings) {
-      result = result.replaceAll(token, original);
+    return text.replace(PLACEHOLDER_PATTERN, (token) => this.mappings.get(token) ?? token);
+  }
+
+  // Restore tokens in any JSON-like value (inverse of pseudonymizeValue)
+  depseudonymizeValue(value) {
+    if (typeof value === 'string') return this.depseudonymize(value);
+    if (Array.isArray(value)) return value.map(item => this.depseudonymizeValue(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.depseudonymizeValue(item)])
+      );
     }
-    return result;
+    return value;
+  }
+
+  // Restore tokens inside a JSON fragment (e.g., streamed tool_use partial_json)
+  // Originals are escaped so they stay valid inside JSON string literals
+  depseudonymizeJson(text) {
+    if (!text || typeof text !== 'string') return text;
+
+    return text.replace(PLACEHOLDER_PATTERN, (token) => {
+      const original = this.mappings.get(token);
+      return original === undefined ? token : JSON.stringify(original).slice(1, -1);
+    });
+  }
+
+  // Create a restorer for streamed chunks of text (or partial JSON when json is true)
+  createStreamRestorer({ json = false } = {}) {
+    return new StreamRestorer(this, { json });
   }
 
   // Process Anthropic message content (handles arrays and strings)
@@ -280,13 +402,50 @@ export class PIIPseudonymizer {
   }
 }
 
-// Standalone function for quick tests
-export function detectPII(text) {
+// ============================================================================
+// STREAM RESTORER
+// Restores placeholders in streamed chunks, holding back any tail that could be
+// the start of a placeholder split across chunks (e.g., "[[EMA" + "IL_1~kqzvx]]").
+// Driven by the placeholder format, so every PII type is covered automatically.
+// ============================================================================
+
+export class StreamRestorer {
+  constructor(pseudonymizer, { json = false } = {}) {
+    this.pseudonymizer = pseudonymizer;
+    this.json = json;
+    this.buffer = '';
+  }
+
+  restore(text) {
+    return this.json
+      ? this.pseudonymizer.depseudonymizeJson(text)
+      : this.pseudonymizer.depseudonymize(text);
+  }
+
+  // Add a chunk and return the restored text that is safe to send now
+  push(chunk) {
+    this.buffer += chunk;
+    const cutoff = findPartialPlaceholder(this.buffer);
+    const ready = this.buffer.slice(0, cutoff);
+    this.buffer = this.buffer.slice(cutoff);
+    return ready ? this.restore(ready) : '';
+  }
+
+  // Return whatever is still buffered (call when the content block ends)
+  flush() {
+    const remaining = this.buffer;
+    this.buffer = '';
+    return remaining ? this.restore(remaining) : '';
+  }
+}
+
+// Standalone function for quick tests (mode as in PIIPseudonymizer)
+export function detectPII(text, { mode = getConfig().pii.validation } = {}) {
   const found = [];
-  for (const { type, regex } of PATTERNS) {
+  for (const { type, regex, validate, trim } of PATTERNS) {
     // Reset regex lastIndex for global patterns
     regex.lastIndex = 0;
-    const matches = text.match(regex) || [];
+    const matches = (text.match(regex) || []).map(m => trimMatch(trim, m)).filter(m => !failsValidation(validate, m, mode));
     found.push(...matches.map(m => ({ type, value: m })));
   }
   return found;
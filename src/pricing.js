@@ -0,0 +1,110 @@
+// src/pricing.js - Single source of truth for Vertex AI pricing
+// Prices come from the pricing section of the config (config.default.yaml, or PRICING_FILE):
+// per model family, a list of price periods with effective dates. Used by estimation,
+// session tracking and BigQuery logging.
+
+import { getConfig, onConfigChange } from './config.js';
+
+const DATE_SUFFIX = /[-@](\d{8})$/;
+
+// Pricing config with each family's periods sorted by effective date, so lookups can take
+// the last one that applies (the config itself is validated by config.js)
+function preparePricing(pricing) {
+  const models = {};
+  for (const [family, periods] of Object.entries(pricing.models)) {
+    models[family] = [...periods].sort((a, b) => a.effective.localeCompare(b.effective));
+  }
+  return { ...pricing, models };
+}
+
+let config = preparePricing(getConfig().pricing);
+onConfigChange((next) => {
+  config = preparePricing(next.pricing);
+  console.log(`[Pricing] Using v${config.version ?? '?'} (${Object.keys(config.models).length} models)`);
+});
+
+export function getPricingVersion() {
+  return config.version ?? null;
+}
+
+// Model family without version: "claude-sonnet-4@20250514" / "claude-sonnet-4-20250514" → "claude-sonnet-4"
+function getFamily(model) {
+  return (model || '').replace(DATE_SUFFIX, '');
+}
+
+/**
+ * Get pricing for a model (Vertex AI or Anthropic format)
+ * Unknown models fall back to the config's default model (Opus - the safe, expensive guess).
+ * @param {string} model - Model name
+ * @param {Date} [date] - When the usage happened (selects the price period)
+ * @returns {object} { input, output, cacheWrite, cacheRead, effective, family } per 1M tokens
+ */
+export function getModelPricing(model, date = new Date()) {
+  const family = config.models[getFamily(model)] ? getFamily(model) : config.default;
+  const day = date.toISOString().slice(0, 10);
+  const periods = config.models[family];
+  // Latest period already in effect; usage before the first period uses the first one
+  const period = periods.findLast(p => p.effective <= day) || periods[0];
+
+  return {
+    input: period.input,
+    output: period.output,
+    cacheWrite: period.cacheWrite,
+    cacheRead: period.cacheRead,
+    effective: period.effective,
+    family,
+  };
+}
+
+/**
+ * Calculate cost from API response usage (cache writes and reads included)
+ * @param {object} usage - Anthropic API usage object
+ * @param {string} model - Model name (Vertex AI format)
+ * @param {Date} [date] - When the usage happened
+ * @returns {object} Cost breakdown
+ */
+export function calculateCost(usage, model, date = new Date()) {
+  const pricing = getModelPricing(model, date);
+  const perMillion = 1_000_000;
+
+  const inputCost = (usage?.input_tokens || 0) / perMillion * pricing.input;
+  const outputCost = (usage?.output_tokens || 0) / perMillion * pricing.output;
+  const cacheWriteCost = (usage?.cache_creation_input_tokens || 0) / perMillion * pricing.cacheWrite;
+  const cacheReadCost = (usage?.cache_read_input_tokens || 0) / perMillion * pricing.cacheRead;
+
+  const totalCost = inputCost + outputCost + cacheWriteCost + cacheReadCost;
+
+  return {
+    inputCost,
+    outputCost,
+    cacheWriteCost,
+    cacheReadCost,
+    totalCost,
+    model,
+    pricing,
+    pricingVersion: getPricingVersion(),
+  };
+}
+
+/**
+ * Get pricing table for display (prices in effect today)
+ */
+export function getPricingTable() {
+  return {
+    version: getPricingVersion(),
+    region: config.region,
+    currency: config.currency,
+    note: config.note,
+    models: Object.keys(config.models).reduce((acc, family) => {
+      const pricing = getModelPricing(family);
+      acc[family] = {
+        inputPer1M: `$${pricing.input.toFixed(2)}`,
+        outputPer1M: `$${pricing.output.toFixed(2)}`,
+        cacheWritePer1M: `$${pricing.cacheWrite.toFixed(3)}`,
+        cacheReadPer1M: `$${pricing.cacheRead.toFixed(2)}`,
+        effective: pricing.effective,
+      };
+      return acc;
+    }, {}),
+  };
+}
@@ -1,30 +1,93 @@
-// src/rate-limiter.js - Rate limiting per MCP server (skill) for cost control
+// src/rate-limiter.js - Rate limiting per MCP server (skill) and tool for cost control
 // Only limits MCP tools (external API calls), not core Claude tools
-// Counts tool invocations per proxy session (resets on restart)
-
-// MCP server limits (extracted from mcp__<server>__<tool>)
-const MCP_LIMITS = {
-  zendesk: 150,          // ~1500 tickets at 10/call (3x)
-  jira: 100,             // Higher volume, less sensitive
-  'slack-messaging': 50, // Conversation batches
-  sentry: 30,            // Error batches
-  confluence: 50,        // Documentation pages
-  github: 50,            // Code/PRs
-  lokalise: 50,          // Translations
-  trustpilot: 90,        // Review analysis batches (3x)
-  outlook: 50,           // Calendar/email
+// Sliding windows (calls in the last minute / hour / day) from the rateLimits section of the
+// config. Call times are saved to rate-limit-state.json so limits survive restarts.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig, onConfigChange } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATE_FILE = process.env.RATE_LIMIT_STATE_FILE || path.join(__dirname, '..', 'rate-limit-state.json');
+
+export const WINDOWS = {
+  minute: 60_000,
+  hour: 60 * 60_000,
+  day: 24 * 60 * 60_000,
 };
-const DEFAULT_MCP_LIMIT = 50;
+// Call times are kept for the longest window, whatever the current limits use
+const MAX_WINDOW_MS = Math.max(...Object.values(WINDOWS));
+const SAVE_DELAY_MS = 1_000;
+
+let config = prepareLimits(getConfig().rateLimits);
+onConfigChange(next => {
+  config = prepareLimits(next.rateLimits);
+});
+
+// Call timestamps per MCP server ("zendesk") and per tool ("mcp__zendesk__search")
+const calls = loadState();
+let saveTimer = null;
+
+// rateLimits section of the config (validated there) → lookup-ready limits
+function prepareLimits(section) {
+  const limits = {
+    ...section,
+    servers: section.servers || {},
+    tools: section.tools || {},
+    // Core Claude tools - NOT rate limited
+    exemptTools: new Set(section.exemptTools || []),
+  };
+  console.log(`[RateLimit] ${Object.keys(limits.servers).length} servers, ${Object.keys(limits.tools).length} tools, ${limits.enforcement} enforcement`);
+  return limits;
+}
+
+// rateLimits.enforcement - see ENFORCEMENT_MODES in config.js
+export function getEnforcement() {
+  return config.enforcement;
+}
+
+// --- Persistence ---
 
-// Core Claude tools - NOT rate limited
-const CORE_TOOLS = new Set([
-  'Bash', 'Read', 'Edit', 'Write', 'Glob', 'Grep', 'Task', 'TaskOutput',
-  'WebFetch', 'WebSearch', 'TodoWrite', 'NotebookEdit', 'AskUserQuestion',
-  'Skill', 'KillShell', 'EnterPlanMode', 'ExitPlanMode'
-]);
+function loadState() {
+  const state = new Map();
+  try {
+    const saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
+    const cutoff = Date.now() - MAX_WINDOW_MS;
+    for (const [key, times] of Object.entries(saved.calls || {})) {
+      const recent = (Array.isArray(times) ? times : []).filter(t => t > cutoff);
+      if (recent.length > 0) state.set(key, recent);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[RateLimit] Could not read ${path.basename(STATE_FILE)} - starting with empty counters:`, err.message);
+    }
+  }
+  return state;
+}
+
+/**
+ * Write call times to disk now (atomic rename). Called on shutdown; otherwise saves are batched.
+ */
+export function saveRateLimitState() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    const tmpFile = `${STATE_FILE}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, calls: Object.fromEntries(calls) }));
+    fs.renameSync(tmpFile, STATE_FILE);
+  } catch (err) {
+    console.error('[RateLimit] Failed to save counters:', err.message);
+  }
+}
 
-// In-memory counters per MCP server (reset on proxy restart)
-const counters = new Map();
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveRateLimitState, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// --- Counting ---
 
 // Extract MCP server name from tool name (e.g., "mcp__zendesk__search" → "zendesk")
 function getMcpServer(toolName) {
@@ -33,63 +96,148 @@ function getMcpServer(toolName) {
   return parts.length >= 2 ? parts[1] : null;
 }
 
-// Record a tool invocation and return current count
+// Calls of a server or tool within the window, dropping those older than any window
+function countCalls(key, windowMs, now = Date.now()) {
+  const times = calls.get(key);
+  if (!times) return 0;
+  const recent = times.filter(t => t > now - MAX_WINDOW_MS);
+  if (recent.length === 0) {
+    calls.delete(key);
+    return 0;
+  }
+  if (recent.length !== times.length) calls.set(key, recent);
+  return recent.filter(t => t > now - windowMs).length;
+}
+
+// Limits that apply to a tool: its server's (or the default) plus its own
+function getApplicableLimits(toolName) {
+  const server = getMcpServer(toolName);
+  const limits = [{ key: server, limits: config.servers[server] || config.default }];
+  if (config.tools[toolName]) {
+    limits.push({ key: toolName, limits: config.tools[toolName] });
+  }
+  return limits;
+}
+
+// Record a tool invocation
 // Only counts MCP tools, ignores core Claude tools
 export function recordToolUse(toolName) {
   // Skip core Claude tools - they're not rate limited
-  if (CORE_TOOLS.has(toolName)) {
-    return 0;
+  if (config.exemptTools.has(toolName)) {
+    return;
   }
 
   // Extract MCP server name
   const server = getMcpServer(toolName);
   if (!server) {
     // Unknown tool format - skip
-    return 0;
+    return;
   }
 
-  // Count against the MCP server
-  const count = (counters.get(server) || 0) + 1;
-  counters.set(server, count);
-  const limit = MCP_LIMITS[server] || DEFAULT_MCP_LIMIT;
+  // Count against the MCP server and the tool itself
+  const now = Date.now();
+  for (const key of [server, toolName]) {
+    if (!calls.has(key)) calls.set(key, []);
+    calls.get(key).push(now);
+  }
+  scheduleSave();
 
   // Warn when approaching limit
-  if (count === Math.floor(limit * 0.8)) {
-    console.log(`[RateLimit] ${server}: ${count}/${limit} (80% - approaching limit)`);
+  for (const { key, limits } of getApplicableLimits(toolName)) {
+    for (const [window, limit] of Object.entries(limits)) {
+      const count = countCalls(key, WINDOWS[window], now);
+      if (count === Math.floor(limit * 0.8)) {
+        console.log(`[RateLimit] ${key}: ${count}/${limit} per ${window} (80% - approaching limit)`);
+      }
+      if (count === limit) {
+        console.log(`[RateLimit] ${key}: ${count}/${limit} per ${window} - LIMIT REACHED`);
+      }
+    }
   }
-  if (count === limit) {
-    console.log(`[RateLimit] ${server}: ${count}/${limit} - LIMIT REACHED`);
+}
+
+/**
+ * Check if a tool is over any of its limits
+ * Only checks MCP tools, core tools are never limited
+ * @param {string} toolName - Tool name, e.g. "mcp__zendesk__search"
+ * @returns {object|null} { key, window, limit, count, retryAfterSeconds } for the first limit reached
+ */
+export function checkLimit(toolName) {
+  if (config.exemptTools.has(toolName) || !getMcpServer(toolName)) {
+    return null;
   }
 
-  return count;
+  const now = Date.now();
+  for (const { key, limits } of getApplicableLimits(toolName)) {
+    for (const [window, limit] of Object.entries(limits)) {
+      const count = countCalls(key, WINDOWS[window], now);
+      if (count >= limit) {
+        // Room again once enough calls have left the window
+        const inWindow = calls.get(key).filter(t => t > now - WINDOWS[window]);
+        const freesAt = inWindow[count - limit] + WINDOWS[window];
+        return { key, window, limit, count, retryAfterSeconds: Math.max(1, Math.ceil((freesAt - now) / 1000)) };
+      }
+    }
+  }
+  return null;
 }
 
-// Check if tool is over its limit
-// Only checks MCP tools, core tools always return false
-export function isOverLimit(toolName) {
-  // Core tools are never rate limited
-  if (CORE_TOOLS.has(toolName)) {
-    return false;
+// Usage vs limits for one server or tool
+function describe(key, limits) {
+  const now = Date.now();
+  const windows = {};
+  for (const window of Object.keys(WINDOWS)) {
+    if (limits?.[window] || calls.has(key)) {
+      windows[window] = { count: countCalls(key, WINDOWS[window], now), limit: limits?.[window] ?? null };
+    }
   }
+  return windows;
+}
 
-  const server = getMcpServer(toolName);
-  if (!server) {
-    return false;
+/**
+ * Usage per MCP server and tool (everything with calls in the last day or a configured limit)
+ * @returns {object} { servers: { zendesk: { hour: { count, limit } } }, tools: { ... } }
+ */
+export function getStats() {
+  const servers = {};
+  const tools = {};
+  for (const key of new Set([...calls.keys(), ...Object.keys(config.servers), ...Object.keys(config.tools)])) {
+    if (getMcpServer(key)) {
+      tools[key] = describe(key, config.tools[key]);
+    } else {
+      servers[key] = describe(key, config.servers[key] || config.default);
+    }
   }
-
-  const count = counters.get(server) || 0;
-  const limit = MCP_LIMITS[server] || DEFAULT_MCP_LIMIT;
-  return count >= limit;
+  return { servers, tools };
 }
 
-// Get limit for a tool
-export function getLimit(toolName) {
-  const server = getMcpServer(toolName);
-  if (!server) return Infinity;
-  return MCP_LIMITS[server] || DEFAULT_MCP_LIMIT;
+/**
+ * Usage for one MCP server ("zendesk") or tool ("mcp__zendesk__search")
+ * @returns {object|null} Window stats, or null if it has no calls and no limits
+ */
+export function getStatsFor(name) {
+  const { servers, tools } = getStats();
+  return servers[name] || tools[name] || null;
 }
 
-// Get all stats (MCP server counts only)
-export function getStats() {
-  return Object.fromEntries(counters);
+/**
+ * Reset counters: all of them, one tool, or one server (including its tools)
+ * @param {string} [name] - MCP server or tool name; omit to reset everything
+ * @returns {number} Number of servers/tools reset
+ */
+export function resetLimits(name) {
+  let keys;
+  if (name === undefined) {
+    keys = [...calls.keys()];
+  } else if (getMcpServer(name)) {
+    keys = calls.has(name) ? [name] : [];
+  } else {
+    keys = [...calls.keys()].filter(key => key === name || getMcpServer(key) === name);
+  }
+  for (const key of keys) calls.delete(key);
+  if (keys.length > 0) {
+    console.log(`[RateLimit] Reset ${name ?? 'all counters'} (${keys.length})`);
+    scheduleSave();
+  }
+  return keys.length;
 }
@@ -0,0 +1,61 @@
+// src/request-validation.js - Shape checks for /v1/messages and count_tokens request bodies
+// The proxy walks the system prompt, messages and content blocks (PII, loops, rate limits)
+// before Vertex AI sees them, so a malformed body would fail inside the proxy (TypeError → 500)
+// instead of as a 400 the client can act on. Only the structure the proxy relies on is
+// checked here; Vertex AI validates everything else.
+
+import { ProxyError } from './errors.js';
+
+const ROLES = ['user', 'assistant'];
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// First problem with a content block list, e.g. "messages.2.content.0: must be an object"
+function findBlockProblem(blocks, at) {
+  for (const [i, block] of blocks.entries()) {
+    if (!isObject(block)) return `${at}.${i}: must be an object`;
+    if (block.type === 'tool_result' && Array.isArray(block.content)) {
+      const problem = findBlockProblem(block.content, `${at}.${i}.content`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+function findProblem(body) {
+  if (!isObject(body)) return 'Request body must be a JSON object';
+  if (typeof body.model !== 'string' || body.model === '') return 'model: Field required';
+
+  if (body.system !== undefined && typeof body.system !== 'string') {
+    if (!Array.isArray(body.system)) return 'system: must be a string or an array of text blocks';
+    const problem = findBlockProblem(body.system, 'system');
+    if (problem) return problem;
+  }
+
+  if (body.messages === undefined) return 'messages: Field required';
+  if (!Array.isArray(body.messages)) return 'messages: must be an array';
+  for (const [i, message] of body.messages.entries()) {
+    const at = `messages.${i}`;
+    if (!isObject(message)) return `${at}: must be an object`;
+    if (!ROLES.includes(message.role)) return `${at}.role: must be "user" or "assistant"`;
+    if (typeof message.content === 'string') continue;
+    if (!Array.isArray(message.content)) return `${at}.content: must be a string or an array of content blocks`;
+    const problem = findBlockProblem(message.content, `${at}.content`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Check a Messages API request body (also used for count_tokens)
+ * @param {*} body - Parsed JSON body (undefined when the request had none)
+ * @throws {ProxyError} 400 invalid_request_error naming the first bad field
+ */
+export function validateMessagesRequest(body) {
+  const problem = findProblem(body);
+  if (problem) {
+    throw new ProxyError(400, 'invalid_request_error', problem);
+  }
+}
@@ -0,0 +1,100 @@
+// src/tool-policy.js - Allow / deny / approve policies for the tools Claude calls
+// Rules come from the toolPolicies section of the config and are checked, first match wins,
+// when Claude emits a tool_use. Denied calls never reach Claude Code; "approve" calls wait
+// for the same approval channels as expensive requests.
+
+import { requestApproval } from './approvals.js';
+import { getConfig, onConfigChange } from './config.js';
+
+const MAX_DECISIONS = 100;
+
+let policy = preparePolicy(getConfig().toolPolicies);
+onConfigChange(next => {
+  policy = preparePolicy(next.toolPolicies);
+});
+
+// Most recent decisions, newest last (GET /policies)
+const decisions = [];
+
+// "mcp__jira__delete_*" → /^mcp__jira__delete_.*$/ (only * is special)
+function toPattern(glob) {
+  const escaped = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// toolPolicies section of the config (validated there) → rules with compiled patterns
+function preparePolicy(section) {
+  const rules = (section.rules || []).map(rule => ({ ...rule, pattern: toPattern(rule.match) }));
+  console.log(`[Policy] ${rules.length} rules, default ${section.default}`);
+  return { ...section, rules };
+}
+
+/**
+ * Policy for a tool (first matching rule, else the default)
+ * @param {string} toolName - e.g. "mcp__jira__delete_issue"
+ * @returns {object} { action, match, reason } - match is null for the default
+ */
+export function getToolPolicy(toolName) {
+  const rule = policy.rules.find(({ pattern }) => pattern.test(toolName));
+  return rule
+    ? { action: rule.action, match: rule.match, reason: rule.reason || null }
+    : { action: policy.default, match: null, reason: null };
+}
+
+function logDecision(decision) {
+  const rule = decision.match ? `rule ${decision.match}` : 'default';
+  const by = decision.by ? `, ${decision.by}` : '';
+  console.log(`[Policy] ${decision.allowed ? 'Allowed' : 'Blocked'} ${decision.tool} (${decision.action}: ${rule}${by})`);
+
+  decisions.push({ ...decision, at: new Date().toISOString() });
+  if (decisions.length > MAX_DECISIONS) decisions.shift();
+}
+
+/**
+ * Decide whether a tool_use Claude emitted may go through (asks for approval if the policy says so)
+ * @param {object} toolUse
+ * @param {string} toolUse.name - Tool name
+ * @param {object} toolUse.input - Tool arguments (real values, shown to the approver)
+ * @param {string} toolUse.requestId - Proxy request ID (X-Request-ID)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting (client disconnected) withdraws a pending approval
+ * @returns {Promise<object>} { allowed, action, match, reason, by }
+ */
+export async function decideToolUse({ name, input, requestId }, { signal } = {}) {
+  const { action, match, reason } = getToolPolicy(name);
+
+  let allowed = action === 'allow';
+  let by = null;
+  if (action === 'approve') {
+    ({ approved: allowed, by } = await requestApproval(
+      { requestId, tool: { name, input, reason } },
+      { signal }
+    ));
+  }
+
+  const decision = { tool: name, requestId, action, match, reason, allowed, by };
+  logDecision(decision);
+  return decision;
+}
+
+/**
+ * Text that replaces a blocked tool_use, so Claude and the user see why it didn't run
+ */
+export function describeBlockedToolUse(decision) {
+  const why = decision.action === 'deny'
+    ? `denied by the proxy's tool policy${decision.reason ? ` (${decision.reason})` : ''}`
+    : decision.by === 'timeout' ? 'not approved in time' : `denied by the user (${decision.by})`;
+  return `[Tool call blocked] ${decision.tool} was ${why}. It was not run.`;
+}
+
+/**
+ * Rules in effect and the most recent decisions (newest first)
+ */
+export function getPolicyStatus() {
+  return {
+    version: policy.version ?? null,
+    default: policy.default,
+    rules: policy.rules.map(({ match, action, reason }) => ({ match, action, reason: reason || null })),
+    recentDecisions: [...decisions].reverse(),
+  };
+}
@@ -1,22 +1,238 @@
 // src/vertex.js - Vertex AI client wrapper
+// Retries transient failures with jittered backoff and fails over across EU regions
+import { EventEmitter } from 'events';
+import { promisify } from 'util';
 import { AnthropicVertex } from '@anthropic-ai/vertex-sdk';
+import { APIConnectionError } from '@anthropic-ai/vertex-sdk/core/error';
 
-let client = null;
+const sleep = promisify(setTimeout);
 
-export function getClient() {
-  if (!client) {
-    client = new AnthropicVertex({
-      region: process.env.VERTEX_REGION || 'europe-west1',
-      projectId: process.env.GCP_PROJECT_ID || 'woolsocks-marketing-ai',
+// EU regions serving Claude on Vertex AI - anything else is refused (GDPR data residency)
+const ALLOWED_REGIONS = new Set([
+  'europe-west1',  // Belgium
+  'europe-west3',  // Frankfurt
+  'europe-west4',  // Netherlands
+  'europe-west8',  // Milan
+  'europe-west9',  // Paris
+  'europe-north1', // Finland
+  'europe-southwest1', // Madrid
+]);
+
+// Retry config: attempts per region = 1 + VERTEX_MAX_RETRIES
+const MAX_RETRIES = parseInt(process.env.VERTEX_MAX_RETRIES || '2');
+const RETRY_BASE_MS = parseInt(process.env.VERTEX_RETRY_BASE_MS || '500');
+const MAX_RETRY_DELAY_MS = 30_000;
+
+// Ordered failover list: VERTEX_REGIONS=europe-west1,europe-west4,europe-west3
+// Falls back to the single VERTEX_REGION
+function parseRegions() {
+  const configured = (process.env.VERTEX_REGIONS || process.env.VERTEX_REGION || 'europe-west1')
+    .split(',')
+    .map(region => region.trim())
+    .filter(Boolean);
+
+  const regions = configured.filter(region => {
+    if (!ALLOWED_REGIONS.has(region)) {
+      console.error(`[Vertex] Ignoring region ${region} - not on the EU allowlist`);
+      return false;
+    }
+    return true;
+  });
+
+  return regions.length > 0 ? regions : ['europe-west1'];
+}
+
+const REGIONS = parseRegions();
+const clients = new Map();
+
+export function getRegions() {
+  return [...REGIONS];
+}
+
+let createClient = region => new AnthropicVertex({
+  region,
+  projectId: process.env.GCP_PROJECT_ID || 'woolsocks-marketing-ai',
+  // Retries are handled here, so failover can kick in between attempts
+  maxRetries: 0,
+});
+
+export function getClient(region = REGIONS[0]) {
+  if (!clients.has(region)) {
+    clients.set(region, createClient(region));
+  }
+  return clients.get(region);
+}
+
+// Tests replace the SDK client with a stub: factory is (region) => client
+export function setClientFactory(factory) {
+  createClient = factory;
+  clients.clear();
+}
+
+/**
+ * Determine if a Vertex AI error is transient (should retry / fail over)
+ */
+function isRetryableError(err) {
+  // Connection problems and timeouts (no HTTP status)
+  if (err instanceof APIConnectionError) {
+    return true;
+  }
+
+  // HTTP status codes: rate limits, overload, server errors
+  if ([408, 429, 500, 502, 503, 504, 529].includes(err.status)) {
+    return true;
+  }
+
+  // Overloaded error sent as an SSE event (no status)
+  const body = Array.isArray(err.error) ? err.error[0] : err.error;
+  return body?.error?.type === 'overloaded_error';
+}
+
+// Exponential backoff with jitter: 2^attempt * base ± 50%, or the server's retry-after
+function getRetryDelay(err, attempt) {
+  const retryAfter = parseFloat(err.headers?.get?.('retry-after'));
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const baseDelay = Math.pow(2, attempt) * RETRY_BASE_MS;
+  return Math.min(baseDelay / 2 + Math.random() * baseDelay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Run a request against each region in order, retrying transient errors
+ * @param {function} request - (client) => Promise
+ * @returns {Promise<{response: object, region: string}>}
+ */
+async function withFailover(request) {
+  let lastError;
+
+  for (const [regionIndex, region] of REGIONS.entries()) {
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      try {
+        const response = await request(getClient(region));
+        return { response, region };
+      } catch (err) {
+        lastError = err;
+        err.region = region;
+
+        // Permanent errors (bad request, auth, ...) won't get better elsewhere
+        if (!isRetryableError(err)) {
+          throw err;
+        }
+
+        if (attempt < MAX_RETRIES) {
+          const delayMs = getRetryDelay(err, attempt);
+          console.warn(`[Vertex] ${region}: ${err.status || err.name} - retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delayMs)}ms...`);
+          await sleep(delayMs);
+        }
+      }
+    }
+
+    if (regionIndex < REGIONS.length - 1) {
+      console.warn(`[Vertex] ${region} unavailable - failing over to ${REGIONS[regionIndex + 1]}`);
+    }
+  }
+
+  console.error(`[Vertex] All regions failed (${REGIONS.join(', ')}):`, lastError?.message);
+  throw lastError;
+}
+
+/**
+ * Streaming counterpart of withFailover
+ * Relays the SDK MessageStream events (streamEvent, message, error). A failed attempt
+ * is only retried while nothing has been relayed yet - once the client has seen
+ * events, switching region would corrupt the stream.
+ */
+class FailoverStream extends EventEmitter {
+  constructor(params, options) {
+    super();
+    this.region = null;   // region that served the stream (set on first event)
+    this.current = null;  // underlying SDK MessageStream of the current attempt
+    this.aborted = false;
+    // Start on next tick so callers can attach listeners first
+    process.nextTick(() => this.run(params, options));
+  }
+
+  // Snapshot of the message accumulated so far (usage included)
+  get currentMessage() {
+    return this.current?.currentMessage;
+  }
+
+  abort() {
+    this.aborted = true;
+    this.current?.abort();
+  }
+
+  async run(params, options) {
+    let lastError;
+
+    for (const [regionIndex, region] of REGIONS.entries()) {
+      for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        if (this.aborted) return;
+
+        const { error, relayed } = await this.attempt(region, params, options);
+        if (!error) return;
+
+        lastError = error;
+        error.region = region;
+        if (relayed || !isRetryableError(error)) {
+          this.emit('error', error);
+          return;
+        }
+
+        if (attempt < MAX_RETRIES) {
+          const delayMs = getRetryDelay(error, attempt);
+          console.warn(`[Vertex] ${region}: ${error.status || error.name} - stream retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delayMs)}ms...`);
+          await sleep(delayMs);
+        }
+      }
+
+      if (regionIndex < REGIONS.length - 1) {
+        console.warn(`[Vertex] ${region} unavailable - failing over to ${REGIONS[regionIndex + 1]}`);
+      }
+    }
+
+    console.error(`[Vertex] All regions failed (${REGIONS.join(', ')}):`, lastError?.message);
+    this.emit('error', lastError);
+  }
+
+  // One attempt against one region; resolves when the SDK stream ends or fails
+  attempt(region, params, options) {
+    return new Promise((resolve) => {
+      const stream = getClient(region).messages.stream(params, options);
+      this.current = stream;
+      let relayed = false;
+
+      stream.on('streamEvent', (event, snapshot) => {
+        if (!relayed) {
+          relayed = true;
+          this.region = region;
+        }
+        this.emit('streamEvent', event, snapshot);
+      });
+      stream.on('message', (message) => this.emit('message', message));
+      stream.on('abort', (error) => {
+        this.emit('abort', error);
+        resolve({});
+      });
+      stream.on('error', (error) => resolve({ error, relayed }));
+      stream.on('end', () => resolve({}));
     });
   }
-  return client;
 }
 
-export async function sendMessage(params) {
-  return getClient().messages.create(params);
+// options: SDK request options, e.g. { headers: { 'anthropic-beta': '...' } }
+// Resolves to { response, region }
+export async function sendMessage(params, options) {
+  return withFailover(client => client.messages.create(params, options));
+}
+
+// Returns a FailoverStream; its .region is set once the first event arrives
+export function streamMessage(params, options) {
+  return new FailoverStream(params, options);
 }
 
-export function streamMessage(params) {
-  return getClient().messages.stream(params);
+// Resolves to { response, region }
+export async function countTokens(params, options) {
+  return withFailover(client => client.messages.countTokens(params, options));
 }
@@ -0,0 +1,61 @@
+// test/helpers.js - Shared pieces of the unit test scripts: checks, temp dirs, quiet logs, summary
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let passed = 0;
+let failed = 0;
+const tempDirs = [];
+
+/**
+ * Report one check
+ * @param {string} description - What should hold
+ * @param {boolean} ok - Whether it did
+ * @param {*} [details] - Shown when it didn't (the value actually got)
+ */
+export function check(description, ok, details) {
+  if (ok) {
+    console.log(`✅ ${description}`);
+    passed++;
+  } else {
+    console.log(`❌ ${description}`);
+    if (details !== undefined) console.log('   Got:', JSON.stringify(details));
+    failed++;
+  }
+}
+
+/**
+ * Fresh temp directory, removed by finish()
+ * @param {string} name - Prefix, e.g. "cost-history-test"
+ */
+export function makeTempDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Drop the modules' own "[Tag] ..." logging (log, warn and error), so only the checks show.
+ * Failures are reported by the checks themselves.
+ */
+export function silenceModuleLogs() {
+  for (const method of ['log', 'warn', 'error']) {
+    const original = console[method];
+    console[method] = (...args) => {
+      if (!/^\[\w+\]/.test(String(args[0]))) original(...args);
+    };
+  }
+}
+
+/**
+ * Print the results, clean up temp dirs and exit (1 if any check failed)
+ */
+export function finish() {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n${'─'.repeat(50)}`);
+  console.log(`📊 Results: ${passed} passed, ${failed} failed`);
+  console.log(`${'─'.repeat(50)}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
@@ -0,0 +1,59 @@
+// test/test-attribution.js - Cost attribution tests (user pseudonymization)
+// The hash key (USER_ID_HASH_SECRET) is read at import, so each key gets a fresh module instance
+import { createHash, createHmac } from 'crypto';
+import { check, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running attribution tests...\n');
+
+silenceModuleLogs();
+
+const secret = 'test-secret-for-user-ids';
+process.env.USER_ID_HASH_SECRET = secret;
+const { hashUserId } = await import('../src/attribution.js');
+
+// ============================================================================
+// User ID hashing
+// ============================================================================
+
+const email = 'jan.devries@woolsocks.eu';
+const hashed = hashUserId(email);
+
+check('User IDs become user_ + 16 hex chars', /^user_[0-9a-f]{16}$/.test(hashed), hashed);
+check('Same user always gets the same ID', hashUserId(email) === hashed);
+
+// The ID must not decode back to the user (as base64 did: amFuLmRldnJpZXNA → jan.devries@)
+const decoded = Buffer.from(hashed.slice('user_'.length), 'base64').toString('latin1');
+check('Hashed ID does not reveal the user ID', !decoded.includes('jan') && !hashed.includes('jan'), decoded);
+
+// IDs sharing a long prefix must stay distinct, or their spend gets merged
+check(
+  'IDs with a common prefix get different hashes',
+  hashUserId('woolsocks-eng-alice') !== hashUserId('woolsocks-eng-bob'),
+  [hashUserId('woolsocks-eng-alice'), hashUserId('woolsocks-eng-bob')]
+);
+
+check('Missing user stays "unknown"', hashUserId('unknown') === 'unknown' && hashUserId('') === 'unknown');
+
+// ============================================================================
+// Hash key
+// ============================================================================
+
+console.log('\n📋 Hash key:\n');
+
+// A plain SHA-256 of a guessed email would match a dictionary; the keyed hash must not
+const plain = `user_${createHash('sha256').update(email).digest('hex').slice(0, 16)}`;
+check('The ID is keyed, not a plain hash of the user ID', hashed !== plain, hashed);
+check('The ID is an HMAC with USER_ID_HASH_SECRET',
+  hashed === `user_${createHmac('sha256', secret).update(email).digest('hex').slice(0, 16)}`, hashed);
+
+process.env.USER_ID_HASH_SECRET = 'another-secret';
+const otherKey = await import('../src/attribution.js?key=2');
+check('Another key gives another ID', otherKey.hashUserId(email) !== hashed, otherKey.hashUserId(email));
+
+delete process.env.USER_ID_HASH_SECRET;
+const noKey = await import('../src/attribution.js?key=none');
+const randomKeyed = noKey.hashUserId(email);
+check('Without a key, IDs are still hashed with a (random) key',
+  /^user_[0-9a-f]{16}$/.test(randomKeyed) && randomKeyed !== plain && noKey.hashUserId(email) === randomKeyed, randomKeyed);
+
+finish();
@@ -0,0 +1,90 @@
+// test/test-budgets.js - Spend cap precedence tests: POST /budgets override, then .env, then config
+// Runs on a temp config file (PROXY_CONFIG) and history file (COSTS_HISTORY_FILE), both read
+// at import, so they are set before the modules are loaded
+import fs from 'fs';
+import path from 'path';
+import { check, makeTempDir, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running budget tests...\n');
+
+const tmpDir = makeTempDir('budgets-test');
+const configFile = path.join(tmpDir, 'config.yaml');
+const historyFile = path.join(tmpDir, 'costs-history.json');
+
+fs.writeFileSync(configFile, 'costs:\n  budgets:\n    daily:\n      hard: 50\n');
+process.env.PROXY_CONFIG = configFile;
+process.env.COSTS_HISTORY_FILE = historyFile;
+for (const name of ['BUDGET_DAILY_SOFT', 'BUDGET_DAILY_HARD', 'BUDGET_MONTHLY_SOFT', 'BUDGET_MONTHLY_HARD']) {
+  delete process.env[name];
+}
+process.env.BUDGET_DAILY_HARD = '25';
+
+silenceModuleLogs();
+
+const { reloadConfig } = await import('../src/config.js');
+const { getBudgets, setBudgets, clearBudgetOverrides, getBudgetOverrides, getBudgetStatus } =
+  await import('../src/cost-tracker.js');
+const { flushCostHistory, readCostHistory } = await import('../src/cost-history.js');
+
+// ============================================================================
+// Precedence
+// ============================================================================
+
+console.log('📋 Precedence:\n');
+
+check('.env wins over the config', getBudgets().daily.hard === 25, getBudgets().daily);
+
+setBudgets({ daily: { hard: 40 } });
+check('POST override wins over .env', getBudgets().daily.hard === 40, getBudgets().daily);
+check('Only the cap that was set is overridden',
+  JSON.stringify(getBudgetOverrides()) === JSON.stringify({ daily: { hard: 40 } }), getBudgetOverrides());
+check('Overrides are listed in the status', getBudgetStatus().overrides.daily?.hard === 40, getBudgetStatus().overrides);
+
+setBudgets({ daily: { hard: null } });
+check('null removes the override, .env applies again', getBudgets().daily.hard === 25, getBudgets().daily);
+check('No override is left behind', JSON.stringify(getBudgetOverrides()) === '{}', getBudgetOverrides());
+
+delete process.env.BUDGET_DAILY_HARD;
+reloadConfig();
+check('Without .env the config applies', getBudgets().daily.hard === 50, getBudgets().daily);
+
+// ============================================================================
+// Removing all overrides
+// ============================================================================
+
+console.log('\n📋 Removing all overrides:\n');
+
+setBudgets({ daily: { soft: 10, hard: 40 }, monthly: { hard: 500 } });
+check('Overrides are applied', getBudgets().daily.soft === 10 && getBudgets().monthly.hard === 500, getBudgets());
+
+const after = clearBudgetOverrides();
+check('DELETE brings back the configured caps',
+  after.daily.soft === null && after.daily.hard === 50 && after.monthly.hard === null, after);
+check('Overrides are empty afterwards', JSON.stringify(getBudgetOverrides()) === '{}', getBudgetOverrides());
+
+await flushCostHistory();
+const saved = readCostHistory();
+check('Removed overrides are not kept in the saved history',
+  JSON.stringify(saved.budgets || {}) === '{}', saved.budgets);
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+console.log('\n📋 Validation:\n');
+
+const rejects = changes => {
+  try {
+    setBudgets(changes);
+    return false;
+  } catch {
+    return true;
+  }
+};
+check('Unknown period is rejected', rejects({ weekly: { hard: 5 } }));
+check('Unknown level is rejected', rejects({ daily: { max: 5 } }));
+check('Non-positive amount is rejected', rejects({ daily: { hard: 0 } }));
+
+await flushCostHistory();
+
+finish();
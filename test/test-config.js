@@ -0,0 +1,162 @@
+// test/test-config.js - Config loading tests: merging, validation, env overrides, section files
+// PROXY_CONFIG is read at import, so it points at a temp file that each case rewrites
+import fs from 'fs';
+import path from 'path';
+import { check, makeTempDir, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running config tests...\n');
+
+const tmpDir = makeTempDir('config-test');
+const configFile = path.join(tmpDir, 'config.yaml');
+fs.writeFileSync(configFile, '');
+process.env.PROXY_CONFIG = configFile;
+
+// Only the variables a case sets should apply
+const ENV_NAMES = [
+  'COST_THRESHOLD', 'BUDGET_DAILY_SOFT', 'BUDGET_DAILY_HARD', 'BUDGET_MONTHLY_SOFT', 'BUDGET_MONTHLY_HARD',
+  'APPROVAL_TIMEOUT_MS', 'APPROVAL_CHANNELS', 'RATE_LIMIT_ENFORCEMENT', 'LOOP_THRESHOLD', 'LOOP_ACTION',
+  'PII_VALIDATION', 'WHITELISTED_EMAIL_DOMAINS', 'BIGQUERY_SCAN_LIMIT_GB',
+  'PRICING_FILE', 'RATE_LIMITS_FILE', 'TOOL_POLICY_FILE',
+];
+function clearEnv() {
+  for (const name of ENV_NAMES) delete process.env[name];
+}
+clearEnv();
+
+silenceModuleLogs();
+const { loadConfig, getConfigFiles, ConfigError } = await import('../src/config.js');
+
+const defaults = loadConfig();
+
+// Load with the given config file text and env; returns the config or the ConfigError
+function load(text, env = {}) {
+  clearEnv();
+  fs.writeFileSync(configFile, text);
+  Object.assign(process.env, env);
+  try {
+    return loadConfig();
+  } catch (err) {
+    return err;
+  } finally {
+    clearEnv();
+  }
+}
+
+// ============================================================================
+// Merging the config file over the defaults
+// ============================================================================
+
+console.log('📋 Merging:\n');
+{
+  const config = load('costs:\n  threshold: 5\nrateLimits:\n  servers:\n    sentry: null\n    jira: { hour: 10 }\n');
+  check('A setting overrides the default', config.costs?.threshold === 5, config.costs);
+  check('Mappings merge key by key', config.costs?.budgets?.daily?.hard === null, config.costs);
+  check('null removes a key', config.rateLimits && !('sentry' in config.rateLimits.servers), config.rateLimits?.servers);
+  check('Other keys in the same mapping are kept',
+    config.rateLimits?.servers.jira.hour === 10 && config.rateLimits.servers.zendesk.day === 1000, config.rateLimits?.servers);
+}
+{
+  const config = load('rateLimits:\n  exemptTools: [Bash]\ntoolPolicies:\n  rules:\n    - { match: "mcp__x__*", action: approve }\n');
+  check('Lists replace the default list', JSON.stringify(config.rateLimits?.exemptTools) === '["Bash"]',
+    config.rateLimits?.exemptTools);
+  check('Lists of mappings replace too', config.toolPolicies?.rules.length === 1 &&
+    config.toolPolicies.rules[0].action === 'approve', config.toolPolicies?.rules);
+}
+{
+  const config = load('');
+  check('An empty file gives the defaults', JSON.stringify(config) === JSON.stringify(defaults));
+  check('The result is read-only', Object.isFrozen(config) && Object.isFrozen(config.rateLimits.servers));
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+console.log('\n📋 Validation:\n');
+{
+  const err = load('costs:\n  threshold: cheap\nloops:\n  action: explode\nrateLimits:\n  window: 5\n');
+  const errors = err.errors || [];
+  check('Invalid config throws a ConfigError', err instanceof ConfigError, err);
+  check('Every problem is reported, not just the first', errors.length === 3, errors);
+  check('Wrong type names the setting', errors.some(e => e.startsWith('costs.threshold:')), errors);
+  check('Enum error lists the allowed values',
+    errors.some(e => e.startsWith('loops.action:') && e.includes('warn') && e.includes('halt')), errors);
+  check('Unknown settings are rejected', errors.some(e => e === 'rateLimits.window: unknown setting'), errors);
+}
+{
+  const err = load('toolPolicies:\n  default: block\n');
+  check('Tool policy actions are checked', err instanceof ConfigError &&
+    err.errors.some(e => e.startsWith('toolPolicies.default:')), err.errors);
+}
+{
+  const err = load('costs:\n  threshold: null\n');
+  check('Removing a required setting is an error', err instanceof ConfigError &&
+    err.errors.includes('costs.threshold: is required'), err.errors);
+}
+{
+  const err = load('costs: [1, 2\n');
+  check('Unparseable file is a ConfigError naming the file', err instanceof ConfigError &&
+    err.errors[0]?.startsWith('config.yaml:'), err.errors);
+}
+
+// ============================================================================
+// Environment overrides
+// ============================================================================
+
+console.log('\n📋 Environment overrides:\n');
+{
+  const config = load('costs:\n  threshold: 5\n  budgets:\n    daily: { hard: 50 }\n', {
+    COST_THRESHOLD: '7.5',
+    BUDGET_DAILY_HARD: '0',
+    APPROVAL_CHANNELS: 'notify, terminal',
+    LOOP_ACTION: 'halt',
+  });
+  check('Env wins over the config file', config.costs?.threshold === 7.5, config.costs);
+  check('Budget 0 means no cap', config.costs?.budgets.daily.hard === null, config.costs?.budgets);
+  check('Comma-separated lists are split', JSON.stringify(config.approvals?.channels) === '["notify","terminal"]',
+    config.approvals);
+  check('Strings are set as-is', config.loops?.action === 'halt', config.loops);
+}
+{
+  const config = load('costs:\n  threshold: 5\n', { COST_THRESHOLD: '' });
+  check('Empty env var is ignored', config.costs?.threshold === 5, config.costs);
+}
+{
+  const err = load('', { LOOP_THRESHOLD: 'lots', RATE_LIMIT_ENFORCEMENT: 'strict' });
+  check('Non-number env value is an error naming the variable', err instanceof ConfigError &&
+    err.errors.includes('LOOP_THRESHOLD: must be a number, got "lots"'), err.errors);
+  check('Env values are validated like the file', err instanceof ConfigError &&
+    err.errors.some(e => e.startsWith('rateLimits.enforcement:')), err.errors);
+}
+{
+  const err = load('', { PII_VALIDATION: 'loose' });
+  check('PII validation mode must be strict or aggressive', err instanceof ConfigError &&
+    err.errors.some(e => e.startsWith('pii.validation:') && e.includes('strict') && e.includes('aggressive')), err.errors);
+}
+
+// ============================================================================
+// Section files (PRICING_FILE, RATE_LIMITS_FILE, TOOL_POLICY_FILE)
+// ============================================================================
+
+console.log('\n📋 Section files:\n');
+{
+  const policyFile = path.join(tmpDir, 'tool-policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify({ default: 'deny' }));
+  const config = load('toolPolicies:\n  default: approve\n', { TOOL_POLICY_FILE: policyFile });
+  check('Section file replaces the whole section', config.toolPolicies?.default === 'deny' &&
+    config.toolPolicies.rules === undefined, config.toolPolicies);
+  check('Other sections are untouched', config.rateLimits?.servers.zendesk.day === 1000, config.rateLimits);
+
+  process.env.TOOL_POLICY_FILE = policyFile;
+  const files = getConfigFiles();
+  clearEnv();
+  check('Section file is listed last among the config files',
+    files.length === 3 && files[1] === configFile && files[2] === policyFile, files);
+
+  fs.writeFileSync(policyFile, JSON.stringify({ default: 'maybe' }));
+  const err = load('', { TOOL_POLICY_FILE: policyFile });
+  check('Section file is validated', err instanceof ConfigError &&
+    err.errors.some(e => e.startsWith('toolPolicies.default:')), err.errors);
+}
+
+finish();
@@ -0,0 +1,179 @@
+// test/test-cost-history.js - Cost history journal, locking and crash recovery tests
+// Each case gets its own temp dir and a fresh copy of the module (COSTS_HISTORY_FILE is
+// read at import, and the module keeps the loaded history in memory)
+import fs from 'fs';
+import path from 'path';
+import { check, makeTempDir, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running cost history tests...\n');
+
+silenceModuleLogs();
+const tmpRoot = makeTempDir('cost-history-test');
+let caseCount = 0;
+
+// Fresh module on an empty directory; returns the module and its file paths
+async function setup() {
+  caseCount++;
+  const dir = path.join(tmpRoot, `case-${caseCount}`);
+  fs.mkdirSync(dir);
+  const files = {
+    snapshot: path.join(dir, 'costs-history.json'),
+    backup: path.join(dir, 'costs-history.json.bak'),
+    journal: path.join(dir, 'costs-history.journal'),
+    prevJournal: path.join(dir, 'costs-history.journal.prev'),
+    lock: path.join(dir, 'costs-history.lock'),
+  };
+  process.env.COSTS_HISTORY_FILE = files.snapshot;
+  const history = await import(`../src/cost-history.js?case=${caseCount}`);
+  return { history, files, dir };
+}
+
+function costRecord(seq, cost, date = '2025-01-15') {
+  return { seq, type: 'cost', date, month: date.slice(0, 7), cost, model: 'claude-sonnet-4' };
+}
+
+function snapshot(seq, totalCost, requests) {
+  const entry = { totalCost, requests, byModel: { 'claude-sonnet-4': totalCost } };
+  return { version: 2, seq, daily: { '2025-01-15': entry }, monthly: { '2025-01': structuredClone(entry) } };
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value));
+}
+
+function journalLines(records) {
+  return records.map(record => JSON.stringify(record) + '\n').join('');
+}
+
+function readJournalRecords(file) {
+  return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const approx = (a, b) => Math.abs(a - b) < 1e-9;
+
+// ============================================================================
+// Torn last journal line (crash mid-append)
+// ============================================================================
+
+console.log('📋 Torn journal line:\n');
+{
+  const { history, files } = await setup();
+  writeJson(files.snapshot, snapshot(2, 2, 2));
+  fs.writeFileSync(files.journal, journalLines([costRecord(3, 1)]) + '{"seq":4,"type":"cost","da');
+
+  const loaded = history.loadCostHistory();
+  check('Complete records are applied, the torn one is ignored',
+    approx(loaded.daily['2025-01-15'].totalCost, 3) && loaded.seq === 3, loaded.daily['2025-01-15']);
+
+  history.recordCostEntry({ cost: 0.5, model: 'claude-sonnet-4' }, new Date('2025-01-15T12:00:00Z'));
+  await history.flushCostHistory();
+
+  let records = [];
+  try {
+    records = readJournalRecords(files.journal);
+  } catch (err) {
+    records = err.message;
+  }
+  check('Torn line is dropped before the next append',
+    Array.isArray(records) && records.map(record => record.seq).join(',') === '3,4', records);
+  check('Lock is released after the flush', !fs.existsSync(files.lock));
+}
+
+// ============================================================================
+// Replaying a journal with duplicate sequence numbers
+// ============================================================================
+
+console.log('\n📋 Duplicate sequence numbers:\n');
+{
+  const { history, files } = await setup();
+  // Snapshot already holds records up to seq 5 (crash between compaction's rename and
+  // the journal rename), and one record was appended twice
+  writeJson(files.snapshot, snapshot(5, 5, 5));
+  fs.writeFileSync(files.journal, journalLines([
+    costRecord(4, 1), costRecord(5, 1), costRecord(6, 1), costRecord(6, 1), costRecord(7, 1),
+  ]));
+
+  const loaded = history.loadCostHistory();
+  const day = loaded.daily['2025-01-15'];
+  check('Records already in the snapshot are not counted again',
+    approx(day.totalCost, 7) && day.requests === 7, day);
+  check('Monthly totals match the daily ones', approx(loaded.monthly['2025-01'].totalCost, 7), loaded.monthly);
+  check('Sequence continues from the highest record', loaded.seq === 7, loaded.seq);
+}
+
+// ============================================================================
+// Corrupt snapshot: moved aside and rebuilt from .bak + .journal.prev
+// ============================================================================
+
+console.log('\n📋 Corrupt snapshot:\n');
+{
+  const { history, files, dir } = await setup();
+  fs.writeFileSync(files.snapshot, '{"version":2,"seq":9,"daily":{');
+  writeJson(files.backup, snapshot(2, 2, 2));
+  fs.writeFileSync(files.prevJournal, journalLines([costRecord(2, 1), costRecord(3, 1), costRecord(4, 1)]));
+  fs.writeFileSync(files.journal, journalLines([costRecord(5, 1)]));
+
+  const loaded = history.loadCostHistory();
+  check('History is rebuilt from the backup, previous journal and journal',
+    approx(loaded.daily['2025-01-15'].totalCost, 5) && loaded.seq === 5, loaded.daily['2025-01-15']);
+
+  const corrupt = fs.readdirSync(dir).filter(name => name.startsWith('costs-history.json.corrupt-'));
+  check('Corrupt snapshot is kept aside', corrupt.length === 1 &&
+    fs.readFileSync(path.join(dir, corrupt[0]), 'utf-8').startsWith('{"version":2,"seq":9'), corrupt);
+
+  let rebuilt = null;
+  try {
+    rebuilt = JSON.parse(fs.readFileSync(files.snapshot, 'utf-8'));
+  } catch {
+    // Checked below
+  }
+  check('A valid snapshot is written back in place',
+    rebuilt?.seq === 4 && approx(rebuilt.daily['2025-01-15'].totalCost, 4), rebuilt?.seq);
+}
+
+// ============================================================================
+// Read-only access (costs CLI next to a running proxy)
+// ============================================================================
+
+console.log('\n📋 Read-only access:\n');
+{
+  const { history, files, dir } = await setup();
+  const corruptSnapshot = '{"version":2,"seq":9,"daily":{';
+  fs.writeFileSync(files.snapshot, corruptSnapshot);
+  writeJson(files.backup, snapshot(2, 2, 2));
+  fs.writeFileSync(files.prevJournal, journalLines([costRecord(3, 1)]));
+  fs.writeFileSync(files.journal, journalLines([costRecord(4, 1)]) + '{"seq":5,"ty');
+  const before = fs.readdirSync(dir).sort();
+
+  const read = history.readCostHistory();
+  check('Corrupt snapshot is recovered in memory',
+    approx(read.daily['2025-01-15'].totalCost, 4) && read.seq === 4, read.daily['2025-01-15']);
+  check('No file is renamed, created or rewritten',
+    JSON.stringify(fs.readdirSync(dir).sort()) === JSON.stringify(before) &&
+    fs.readFileSync(files.snapshot, 'utf-8') === corruptSnapshot &&
+    fs.readFileSync(files.journal, 'utf-8').endsWith('{"seq":5,"ty'), fs.readdirSync(dir));
+}
+
+// ============================================================================
+// Stale lock left by a crashed process
+// ============================================================================
+
+console.log('\n📋 Stale lock:\n');
+{
+  const { history, files } = await setup();
+  fs.writeFileSync(files.lock, '99999\n');
+  const longAgo = new Date(Date.now() - 60_000);
+  fs.utimesSync(files.lock, longAgo, longAgo);
+
+  history.recordCostEntry({ cost: 1.25, model: 'claude-sonnet-4' }, new Date('2025-01-15T12:00:00Z'));
+  const started = Date.now();
+  await history.flushCostHistory();
+
+  const records = fs.existsSync(files.journal) ? readJournalRecords(files.journal) : [];
+  check('Stale lock is taken over and the record written',
+    records.length === 1 && approx(records[0].cost, 1.25), records);
+  check('Takeover does not wait for the lock timeout', Date.now() - started < 2_000, Date.now() - started);
+  check('Lock is released afterwards', !fs.existsSync(files.lock));
+}
+
+finish();
@@ -0,0 +1,107 @@
+// test/test-errors.js - Error translation and request validation tests
+import { APIError, APIConnectionError } from '@anthropic-ai/vertex-sdk/core/error';
+import { translateError, ProxyError } from '../src/errors.js';
+import { validateMessagesRequest } from '../src/request-validation.js';
+import { check, finish } from './helpers.js';
+
+console.log('🧪 Running error tests...\n');
+
+// ============================================================================
+// Upstream (Vertex AI) errors
+// ============================================================================
+
+console.log('📋 Upstream errors:\n');
+{
+  const overloaded = translateError(new APIError(529, { error: { type: 'overloaded_error', message: 'Overloaded' } }, 'Overloaded', new Headers()));
+  check('Overloaded is retried, with a default retry-after', overloaded.status === 529 &&
+    overloaded.headers['x-should-retry'] === 'true' && overloaded.headers['retry-after'] === '5', overloaded);
+
+  const limited = translateError(new APIError(429, { error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Quota' } },
+    'Quota', new Headers({ 'retry-after': '12' })));
+  check('Vertex AI quota keeps its own retry-after', limited.body.error.type === 'rate_limit_error' &&
+    limited.headers['retry-after'] === '12' && limited.headers['x-should-retry'] === 'true', limited);
+
+  const invalid = translateError(new APIError(400, { error: { type: 'invalid_request_error', message: 'Bad' } }, 'Bad', new Headers()));
+  check('Upstream 400 is not retried', invalid.status === 400 && invalid.headers['x-should-retry'] === 'false', invalid);
+
+  const unreachable = translateError(new APIConnectionError({ message: 'Connection error.' }));
+  check('Unreachable Vertex AI is a retryable 502', unreachable.status === 502 &&
+    unreachable.headers['x-should-retry'] === 'true', unreachable);
+}
+
+// ============================================================================
+// Errors from the proxy itself
+// ============================================================================
+
+console.log('\n📋 Proxy errors:\n');
+{
+  const bug = translateError(new TypeError("Cannot read properties of undefined (reading 'map')"));
+  check('A proxy bug is a 500 that is not retried', bug.status === 500 && bug.body.error.type === 'api_error' &&
+    bug.headers['x-should-retry'] === 'false', bug);
+
+  const parse = translateError(Object.assign(new SyntaxError('Unexpected end of JSON input'), { status: 400 }));
+  check('Malformed JSON body is a 400 invalid_request_error', parse.status === 400 &&
+    parse.body.error.type === 'invalid_request_error' && parse.headers['x-should-retry'] === 'false', parse);
+
+  const limit = translateError(new ProxyError(429, 'rate_limit_exceeded', 'Tool over limit', {
+    headers: { 'retry-after': '30' },
+  }));
+  check('Proxy rate limit keeps its retry-after but is not retried', limit.status === 429 &&
+    limit.headers['retry-after'] === '30' && limit.headers['x-should-retry'] === 'false', limit);
+
+  const reload = translateError(new ProxyError(400, 'config_error', 'Invalid configuration', { details: { errors: ['a', 'b'] } }));
+  check('Proxy errors have the Anthropic error shape, with extra fields', reload.body.type === 'error' &&
+    reload.body.error.type === 'config_error' && reload.body.error.message === 'Invalid configuration' &&
+    reload.body.error.errors.length === 2, reload.body);
+}
+
+// ============================================================================
+// Request validation
+// ============================================================================
+
+console.log('\n📋 Request validation:\n');
+
+function problemWith(body) {
+  try {
+    validateMessagesRequest(body);
+    return null;
+  } catch (err) {
+    return err instanceof ProxyError && err.status === 400 && err.type === 'invalid_request_error'
+      ? err.message
+      : `unexpected: ${err.message}`;
+  }
+}
+
+const valid = {
+  model: 'claude-sonnet-4',
+  max_tokens: 100,
+  system: [{ type: 'text', text: 'Be brief' }],
+  messages: [
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'mcp__jira__search', input: {} }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: [{ type: 'text', text: 'ok' }] }] },
+  ],
+};
+
+check('A valid request passes', problemWith(valid) === null, problemWith(valid));
+check('No body is rejected', problemWith(undefined) === 'Request body must be a JSON object', problemWith(undefined));
+check('Missing model is rejected', problemWith({ messages: [] }) === 'model: Field required', problemWith({ messages: [] }));
+check('Missing messages is rejected', problemWith({ model: 'claude-sonnet-4' }) === 'messages: Field required',
+  problemWith({ model: 'claude-sonnet-4' }));
+check('messages must be an array', problemWith({ ...valid, messages: { role: 'user' } }) === 'messages: must be an array',
+  problemWith({ ...valid, messages: { role: 'user' } }));
+check('Message role is checked', problemWith({ ...valid, messages: [{ role: 'system', content: 'Hi' }] }) ===
+  'messages.0.role: must be "user" or "assistant"', problemWith({ ...valid, messages: [{ role: 'system', content: 'Hi' }] }));
+check('Message content is checked', problemWith({ ...valid, messages: [{ role: 'user' }] }) ===
+  'messages.0.content: must be a string or an array of content blocks', problemWith({ ...valid, messages: [{ role: 'user' }] }));
+check('Content blocks must be objects', problemWith({ ...valid, messages: [{ role: 'user', content: ['Hi'] }] }) ===
+  'messages.0.content.0: must be an object', problemWith({ ...valid, messages: [{ role: 'user', content: ['Hi'] }] }));
+{
+  const body = { ...valid, messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: [null] }] }] };
+  check('Tool result content is checked', problemWith(body) === 'messages.0.content.0.content.0: must be an object',
+    problemWith(body));
+}
+check('System prompt is checked', problemWith({ ...valid, system: 42 }) === 'system: must be a string or an array of text blocks',
+  problemWith({ ...valid, system: 42 }));
+
+finish();
@@ -0,0 +1,150 @@
+// test/test-estimator.js - Pre-flight cost estimate tests for estimator.js
+// Time is faked by replacing Date.now (prompt cache lifetime); the cost threshold comes from a
+// temp config file (PROXY_CONFIG) and costs go to a temp COSTS_HISTORY_FILE, both read at import
+import fs from 'fs';
+import path from 'path';
+import { check, makeTempDir, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running cost estimate tests...\n');
+
+const tmpDir = makeTempDir('estimator-test');
+const configFile = path.join(tmpDir, 'config.yaml');
+fs.writeFileSync(configFile, 'costs:\n  threshold: 1\n');
+process.env.PROXY_CONFIG = configFile;
+process.env.COSTS_HISTORY_FILE = path.join(tmpDir, 'costs-history.json');
+delete process.env.COST_THRESHOLD;
+
+const MINUTE = 60_000;
+let now = Date.UTC(2025, 0, 15, 9, 0, 0);
+Date.now = () => now;
+
+silenceModuleLogs();
+const { estimateCost, recordActualUsage } = await import('../src/estimator.js');
+const { getModelPricing } = await import('../src/pricing.js');
+
+const model = 'claude-sonnet-4-5';
+const pricing = getModelPricing(model);
+const closeTo = (a, b) => Math.abs(a - b) < 1e-9;
+
+// PNG signature and IHDR chunk - all the estimator reads of an image
+function png(width, height) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32BE(0x89504e47, 0);
+  header.writeUInt32BE(0x0d0a1a0a, 4);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'latin1');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header.toString('base64');
+}
+
+function withImage(data, text) {
+  return {
+    model,
+    max_tokens: 1000,
+    messages: [{
+      role: 'user',
+      content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data } }, { type: 'text', text }],
+    }],
+  };
+}
+
+// ============================================================================
+// Input tokens
+// ============================================================================
+
+console.log('📋 Input tokens:\n');
+{
+  const tools = [{
+    name: 'mcp__jira__search',
+    description: 'Search Jira issues',
+    input_schema: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+  }];
+  const body = { model, max_tokens: 1000, tools, messages: [{ role: 'user', content: 'Find my open issues' }] };
+  const estimate = estimateCost(body);
+  const expected = Math.ceil(JSON.stringify(tools).length / 3.5) + 346;
+  check('Tool definitions count as JSON plus the tool-use system prompt',
+    estimate.inputBreakdown.tools === expected, estimate.inputBreakdown);
+  check('No tools, no tool-use system prompt',
+    estimateCost({ ...body, tools: undefined }).inputBreakdown.tools === 0);
+}
+{
+  const estimate = estimateCost(withImage(png(1000, 750), 'What is this?'));
+  check('Image tokens follow the PNG size (1000×750 → 1000)', estimate.inputBreakdown.images === 1000,
+    estimate.inputBreakdown);
+  check('The image is counted once, its text separately',
+    estimate.estimatedInputTokens === 1000 + estimate.inputBreakdown.text, estimate);
+}
+{
+  const large = estimateCost(withImage(png(4000, 3000), 'And this one?'));
+  check('Large images are downscaled and capped at 1600 tokens', large.inputBreakdown.images === 1600,
+    large.inputBreakdown);
+  const unknown = estimateCost(withImage(Buffer.from('not an image').toString('base64'), 'This?'));
+  check('An unreadable image counts as the maximum', unknown.inputBreakdown.images === 1600,
+    unknown.inputBreakdown);
+}
+
+// ============================================================================
+// Prompt cache: the second turn reads what the first one wrote
+// ============================================================================
+
+console.log('\n📋 Prompt cache:\n');
+{
+  const system = [{ type: 'text', text: 'x'.repeat(4000), cache_control: { type: 'ephemeral' } }];
+  const first = { role: 'user', content: 'Summarize the design doc' };
+  const turn1 = { model, max_tokens: 1000, system, messages: [first] };
+
+  const estimate1 = estimateCost(turn1);
+  check('First turn: the whole prompt is written to the cache', estimate1.inputTokensSource === 'heuristic' &&
+    estimate1.predictedCacheReadTokens === 0 &&
+    estimate1.predictedCacheWriteTokens === estimate1.estimatedInputTokens, estimate1);
+
+  recordActualUsage(estimate1, { input_tokens: 5, cache_creation_input_tokens: 1995, output_tokens: 120 });
+
+  const turn2 = {
+    ...turn1,
+    messages: [first, { role: 'assistant', content: 'It describes a proxy.' }, { role: 'user', content: 'Shorter' }],
+  };
+  now += 2 * MINUTE;
+  const estimate2 = estimateCost(turn2);
+  check('Second turn: the previous prompt is read from the cache', estimate2.inputTokensSource === 'calibrated' &&
+    estimate2.predictedCacheReadTokens === 2000 &&
+    estimate2.predictedCacheWriteTokens === estimate2.estimatedInputTokens - 2000, estimate2);
+  check('Cache reads are priced at the cache-read price',
+    closeTo(estimate2.cacheReadCost, 2000 / 1_000_000 * pricing.cacheRead), estimate2);
+  check('Output is predicted from the previous turn', estimate2.estimatedOutputTokens === 120, estimate2);
+
+  now += 5 * MINUTE;
+  const expired = estimateCost(turn2);
+  check('Nothing is read once the 5 minute cache expired', expired.predictedCacheReadTokens === 0, expired);
+}
+
+// ============================================================================
+// count_tokens override and calibration
+// ============================================================================
+
+console.log('\n📋 count_tokens:\n');
+{
+  const body = { model, max_tokens: 4000, messages: [{ role: 'user', content: 'Review this repository' }] };
+  const heuristic = estimateCost(body);
+  const counted = estimateCost(body, { inputTokens: 400_000 });
+  check('A real token count replaces the heuristic', counted.estimatedInputTokens === 400_000 &&
+    counted.inputTokensSource === 'count_tokens', counted);
+  check('Input cost follows the real count', closeTo(counted.inputCost, 400_000 / 1_000_000 * pricing.input), counted);
+  check('The real count decides the threshold', !heuristic.exceedsThreshold && counted.exceedsThreshold,
+    { heuristic: heuristic.totalEstimate, counted: counted.totalEstimate });
+
+  recordActualUsage(counted, { input_tokens: 400_000, output_tokens: 10 });
+  const next = estimateCost({ ...body, messages: [...body.messages, { role: 'assistant', content: 'Done' }] });
+  check('Calibration is bounded at twice the heuristic', next.estimatedInputTokens === Math.ceil(next.heuristicInputTokens * 2),
+    next);
+}
+{
+  const client = { model, max_tokens: 1000, system: 'Be brief', messages: [{ role: 'user', content: 'Plan the release' }] };
+  const changed = { ...client, system: 'Be brief\n\nA note from the proxy' };
+  check('The conversation is recognized by the request as the client sent it',
+    estimateCost(changed, { conversation: client }).conversationKey === estimateCost(client).conversationKey &&
+    estimateCost(changed).conversationKey !== estimateCost(client).conversationKey);
+}
+
+finish();
@@ -0,0 +1,101 @@
+// test/test-loop-detector.js - Repeated identical tool call detection tests
+// Loop settings come from a temp config file (PROXY_CONFIG, read at import)
+import fs from 'fs';
+import path from 'path';
+import { check, makeTempDir, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running loop detector tests...\n');
+
+const tmpDir = makeTempDir('loop-detector-test');
+const configFile = path.join(tmpDir, 'config.yaml');
+fs.writeFileSync(configFile, 'loops:\n  threshold: 3\n  action: halt\n');
+process.env.PROXY_CONFIG = configFile;
+delete process.env.LOOP_THRESHOLD;
+delete process.env.LOOP_ACTION;
+
+silenceModuleLogs();
+const { checkForLoop, fingerprintToolUse, getLoopStats } = await import('../src/loop-detector.js');
+
+let nextId = 0;
+
+// One agent step: Claude calls the tool, the next user turn returns its result
+function step(name, input) {
+  const id = `toolu_${++nextId}`;
+  return [
+    { role: 'assistant', content: [{ type: 'tool_use', id, name, input }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: 'no results' }] },
+  ];
+}
+
+function steps(count, name, input) {
+  return Array.from({ length: count }, () => step(name, input)).flat();
+}
+
+const search = ['mcp__sentry__search', { query: 'timeout', project: 'api' }];
+
+// ============================================================================
+// Fingerprints
+// ============================================================================
+
+console.log('📋 Fingerprints:\n');
+
+check('Key order does not matter',
+  fingerprintToolUse('mcp__x__y', { a: 1, b: { c: 2, d: 3 } }) === fingerprintToolUse('mcp__x__y', { b: { d: 3, c: 2 }, a: 1 }));
+check('Different input gives a different fingerprint',
+  fingerprintToolUse('mcp__x__y', { a: 1 }) !== fingerprintToolUse('mcp__x__y', { a: 2 }));
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+console.log('\n📋 Detection:\n');
+
+const typed = { role: 'user', content: 'Find out why the API times out' };
+
+check('Below the threshold is not a loop', checkForLoop([typed, ...steps(2, ...search)]) === null);
+{
+  const loop = checkForLoop([typed, ...steps(3, ...search)], { requestId: 'req-1' });
+  check('Threshold identical calls are a loop', loop?.tool === search[0] && loop.count === 3 && loop.action === 'halt', loop);
+}
+check('Calls with different input are not a loop', checkForLoop([
+  typed, ...step(search[0], { query: 'a' }), ...step(search[0], { query: 'b' }), ...step(search[0], { query: 'c' }),
+]) === null);
+check('Nothing is reported while the user has the turn',
+  checkForLoop([typed, ...steps(3, ...search), { role: 'user', content: 'Keep going' }]) === null);
+
+// ============================================================================
+// A typed message starts the count again
+// ============================================================================
+
+console.log('\n📋 After the user types:\n');
+{
+  const earlier = [typed, ...steps(5, ...search)];
+  const next = { role: 'user', content: [{ type: 'text', text: 'Try once more, I restarted the service' }] };
+
+  check('One more identical call after a typed message is not a loop',
+    checkForLoop([...earlier, next, ...steps(1, ...search)]) === null, checkForLoop([...earlier, next, ...steps(1, ...search)]));
+
+  const loop = checkForLoop([...earlier, next, ...steps(3, ...search)]);
+  check('Only calls since the typed message are counted', loop?.count === 3, loop);
+
+  const withText = {
+    role: 'user',
+    content: [{ type: 'tool_result', tool_use_id: 'toolu_x', content: 'ok' }, { type: 'text', text: 'Stop searching' }],
+  };
+  check('Tool results with typed text also start the count again',
+    checkForLoop([...earlier, withText, ...steps(1, ...search)]) === null);
+}
+
+// ============================================================================
+// Stats
+// ============================================================================
+
+console.log('\n📋 Stats:\n');
+{
+  const stats = getLoopStats();
+  check('Detected loops are counted per tool', stats.byTool[search[0]] === stats.detected && stats.detected >= 2, stats.byTool);
+  check('Events keep the request ID, newest first',
+    stats.recentEvents.at(-1)?.requestId === 'req-1' && stats.threshold === 3, stats.recentEvents);
+}
+
+finish();
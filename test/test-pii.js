@@ -4,6 +4,14 @@ import { PIIPseudonymizer, detectPII } from '../src/pii.js';
 
 console.log('🧪 Running PII tests...\n');
 
+// Look up the placeholder a pseudonymizer assigned to an original value
+function tokenFor(pseudonymizer, value) {
+  for (const [token, original] of pseudonymizer.mappings) {
+    if (original === value) return token;
+  }
+  return null;
+}
+
 // Test cases: [input, expectedDetectedTypes]
 const testCases = [
   // ============================================================================
@@ -27,6 +35,11 @@ const testCases = [
   ['UK: GB29NWBK60161331926819', ['IBAN']],
   ['IBAN with spaces: NL91 ABNA 0417 1643 00', ['IBAN']],
 
+  // Payment cards (Luhn)
+  ['Visa: 4111 1111 1111 1111', ['CARD']],
+  ['Mastercard: 5555555555554444', ['CARD']],
+  ['Amex: 3782 822463 10005', ['CARD']],
+
   // ============================================================================
   // Phone numbers by country
   // ============================================================================
@@ -73,25 +86,25 @@ const testCases = [
   // ============================================================================
 
   // Netherlands - BSN
-  ['BSN: 123456789', ['BSN']],
-  ['BSN formatted: 123.456.789', ['BSN']],
-  ['BSN with dashes: 123-456-789', ['BSN']],
+  ['BSN: 111222333', ['BSN']],
+  ['BSN formatted: 123.456.782', ['BSN']],
+  ['BSN with dashes: 123-456-782', ['BSN']],
 
   // Germany - Steuer-ID (11 digits)
-  ['German Steuer-ID: 12345678901', ['STEUER_ID']],
-  ['Tax ID: 98765432109', ['STEUER_ID']],
+  ['German Steuer-ID: 86095742719', ['STEUER_ID']],
+  ['Tax ID: 65929970489', ['STEUER_ID']],
 
   // France - NIR (15 digits starting with 1 or 2)
-  ['French NIR: 1 85 01 75 123 456 78', ['NIR']],
-  ['NIR compact: 185017512345678', ['NIR']],
+  ['French NIR: 1 85 01 75 123 456 09', ['NIR']],
+  ['NIR compact: 255081416802538', ['NIR']],
 
   // Belgium - Rijksregisternummer (11 digits)
-  ['Belgian RRN: 85.01.01-123.45', ['RRN']],
-  ['RRN compact: 85010112345', ['RRN']],
+  ['Belgian RRN: 93.05.18-223.61', ['RRN']],
+  ['RRN compact (born 2000+): 17073003384', ['RRN']],
 
   // Italy - Codice Fiscale (16 alphanumeric)
   ['Italian CF: RSSMRA85A01H501Z', ['CODICE_FISCALE']],
-  ['Codice Fiscale: BNCMRA80A01F205X', ['CODICE_FISCALE']],
+  ['Codice Fiscale: MRTMTT25D09F205Z', ['CODICE_FISCALE']],
 
   // Spain - NIF (8 digits + letter)
   ['Spanish NIF: 12345678Z', ['NIF']],
@@ -99,15 +112,15 @@ const testCases = [
 
   // Spain - NIE (X/Y/Z + 7 digits + letter)
   ['Spanish NIE: X1234567L', ['NIE']],
-  ['Foreigner ID: Y7654321H', ['NIE']],
+  ['Foreigner ID: Y7654321G', ['NIE']],
 
   // Ireland - PPS (7 digits + 1-2 letters)
   ['Irish PPS: 1234567FA', ['PPS']],
-  ['PPS number: 9876543W', ['PPS']],
+  ['PPS number: 9876543H', ['PPS']],
 
   // UK - National Insurance Number
   ['UK NIN: AB123456C', ['UK_NIN']],
-  ['National Insurance: QQ123456A', ['UK_NIN']],
+  ['National Insurance: JG103759A', ['UK_NIN']],
 
   // ============================================================================
   // Postcodes by country
@@ -142,6 +155,14 @@ const testCases = [
   ['Order number: 12345', []],
   ['Short number: 1234', []],
 
+  // Right length, wrong check digit (strict validation)
+  ['Order 123456789 shipped', []],
+  ['Created at 16987654321', []],
+  ['Invoice IBAN-like GB12ABCD12345678123456', []],
+  ['Row id 4111111111111112', []],
+  ['SKU RSSMRA85A01H501A', []],
+  ['HMRC example QQ123456C', []],
+
   // ============================================================================
   // Mixed content (multiple countries in one text)
   // ============================================================================
@@ -150,7 +171,7 @@ const testCases = [
   ['German customer hans@test.de called from +49 170 9876543', ['EMAIL', 'PHONE_DE']],
   ['UK user with SW1A 2AA and NIN AB654321D', ['POSTCODE_UK', 'UK_NIN']],
   ['Italian RSSMRA85A01H501Z from Rome', ['CODICE_FISCALE']],
-  ['Irish customer with PPS 1234567WA at D02 X285', ['PPS', 'POSTCODE_IE']],
+  ['Irish customer with PPS 1234567TW at D02 X285', ['PPS', 'POSTCODE_IE']],
 ];
 
 let passed = 0;
@@ -204,14 +225,14 @@ Customer Database Entry:
 Name: Jan van der Berg
 Email: jan.vanderberg@woolsocks.nl
 Phone (NL): 06-98765432
-BSN: 987654321
-IBAN: NL02RABO0123456789
+BSN: 987654329
+IBAN: NL44RABO0123456789
 Address: 5678 CD Rotterdam
 
 German Partner:
 Email: hans.muller@partner.de
 Phone: +49 170 1234567
-Steuer-ID: 12345678901
+Steuer-ID: 86095742719
 
 UK Customer:
 Email: john.smith@example.co.uk
@@ -309,6 +330,197 @@ if (dupRestored === dupText) {
   failed++;
 }
 
+// ============================================================================
+// JSON fragment restoration (streamed tool_use input)
+// ============================================================================
+
+console.log('\n🔄 Testing JSON fragment restoration...\n');
+
+const p3 = new PIIPseudonymizer();
+p3.pseudonymize('Customer "Jan" <jan@test.nl>');
+const escapeToken = '[[EMAIL_2~qqqqq]]';
+p3.mappings.set(escapeToken, 'quote"back\\slash@test.nl');
+const jsonInput = JSON.stringify({ query: tokenFor(p3, 'jan@test.nl'), other: escapeToken });
+const jsonRestored = JSON.parse(p3.depseudonymizeJson(jsonInput));
+
+if (jsonRestored.query === 'jan@test.nl' && jsonRestored.other === 'quote"back\\slash@test.nl') {
+  console.log('✅ JSON fragment restored with escaping');
+  passed++;
+} else {
+  console.log('❌ JSON fragment restoration failed');
+  console.log('   Got:', jsonRestored);
+  failed++;
+}
+
+// ============================================================================
+// Nested value restoration (tool_use input)
+// ============================================================================
+
+console.log('\n🔄 Testing nested value restoration...\n');
+
+const toolInput = {
+  query: `requester:${tokenFor(p2, 'jan@test.nl')}`,
+  filters: [{ field: 'phone', value: tokenFor(p2, '+31 6 12345678') }],
+  limit: 10,
+  archived: false,
+  cursor: null,
+};
+const toolRestored = p2.depseudonymizeValue(toolInput);
+
+if (toolRestored.query === 'requester:jan@test.nl' &&
+    toolRestored.filters[0].value === '+31 6 12345678' &&
+    toolRestored.limit === 10 && toolRestored.archived === false && toolRestored.cursor === null) {
+  console.log('✅ Tool input restored recursively');
+  passed++;
+} else {
+  console.log('❌ Tool input restoration failed');
+  console.log('   Got:', JSON.stringify(toolRestored));
+  failed++;
+}
+
+// ============================================================================
+// Placeholder format and streaming restoration
+// ============================================================================
+
+console.log('\n🔄 Testing placeholder format...\n');
+
+const p4 = new PIIPseudonymizer();
+const tagText = 'Mail jan@test.nl, NIR 1 85 01 75 123 456 09, CF RSSMRA85A01H501Z, Steuer 86095742719';
+const tagPseudo = p4.pseudonymize(tagText);
+
+if (/^\[\[EMAIL_1~[a-z]{5}\]\]$/.test(tokenFor(p4, 'jan@test.nl'))) {
+  console.log('✅ Placeholders carry a value tag');
+  passed++;
+} else {
+  console.log('❌ Unexpected placeholder format:', tokenFor(p4, 'jan@test.nl'));
+  failed++;
+}
+
+// Literal placeholder-like text (typed by a user, Zendesk IDs) must not be restored
+const literalText = 'Ticket mentions EMAIL_1, [[EMAIL_1~zzzzz]] and 1PHONE_NL_1698';
+if (p4.depseudonymize(literalText) === literalText) {
+  console.log('✅ Placeholder-like text without a matching tag is left alone');
+  passed++;
+} else {
+  console.log('❌ Placeholder-like text was restored:', p4.depseudonymize(literalText));
+  failed++;
+}
+
+// Every request re-sends the whole conversation: its placeholders must not change between
+// turns, or the pseudonymized prompt never hits Vertex's prompt cache
+const history = ['System: support agent for jan@test.nl', 'Ticket from piet@test.nl, IBAN NL91ABNA0417164300', 'Call +31 6 12345678'];
+const pseudonymizeHistory = (texts) => {
+  const pseudonymizer = new PIIPseudonymizer();
+  return texts.map(text => pseudonymizer.pseudonymize(text));
+};
+const firstTurn = pseudonymizeHistory(history);
+const secondTurn = pseudonymizeHistory([...history, 'Also mail kees@test.nl']);
+
+if (JSON.stringify(pseudonymizeHistory(history)) === JSON.stringify(firstTurn) &&
+    JSON.stringify(secondTurn.slice(0, history.length)) === JSON.stringify(firstTurn)) {
+  console.log('✅ Same history gives the same placeholders on every request');
+  passed++;
+} else {
+  console.log('❌ Placeholders changed between requests:', firstTurn, secondTurn);
+  failed++;
+}
+
+console.log('\n🔄 Testing streaming restoration across chunk boundaries...\n');
+
+// Split the pseudonymized text at every position and restore it as two chunks
+let splitFailures = 0;
+for (let i = 1; i < tagPseudo.length; i++) {
+  const restorer = p4.createStreamRestorer();
+  const output = restorer.push(tagPseudo.slice(0, i)) + restorer.push(tagPseudo.slice(i)) + restorer.flush();
+  if (output !== tagText) splitFailures++;
+}
+
+// Feed it one character at a time and make sure no placeholder fragment leaks out
+const charRestorer = p4.createStreamRestorer();
+const charChunks = [...tagPseudo].map(ch => charRestorer.push(ch));
+charChunks.push(charRestorer.flush());
+const leakedFragment = charChunks.some(chunk => chunk.includes('[[') || chunk.includes('~'));
+
+if (splitFailures === 0 && charChunks.join('') === tagText && !leakedFragment) {
+  console.log('✅ Placeholders split across chunks are restored (all PII types)');
+  passed++;
+} else {
+  console.log(`❌ Streaming restoration failed (${splitFailures} bad splits, leaked fragment: ${leakedFragment})`);
+  failed++;
+}
+
+// Text that only looks like a placeholder start is released once it can't be one
+const bracketRestorer = p4.createStreamRestorer();
+const bracketOut = bracketRestorer.push('array[0] and [[wiki link]] ') + bracketRestorer.push('done');
+if (bracketOut === 'array[0] and [[wiki link]] done') {
+  console.log('✅ Ordinary brackets are not held back');
+  passed++;
+} else {
+  console.log('❌ Ordinary brackets held back:', JSON.stringify(bracketOut));
+  failed++;
+}
+
+// ============================================================================
+// Validation modes
+// ============================================================================
+
+console.log('\n🔄 Testing strict vs aggressive validation...\n');
+
+const lookAlikes = 'Order 123456789, ts 12345678901, ref GB12ABCD12345678123456';
+
+const strictPseudo = new PIIPseudonymizer({ mode: 'strict' }).pseudonymize(lookAlikes);
+if (strictPseudo === lookAlikes) {
+  console.log('✅ Strict mode leaves numbers with a wrong check digit alone');
+  passed++;
+} else {
+  console.log('❌ Strict mode redacted look-alikes:', strictPseudo);
+  failed++;
+}
+
+const aggressive = new PIIPseudonymizer({ mode: 'aggressive' });
+const aggressivePseudo = aggressive.pseudonymize(lookAlikes);
+if (aggressive.depseudonymize(aggressivePseudo) === lookAlikes &&
+    aggressive.mappings.size === 3) {
+  console.log('✅ Aggressive mode redacts every pattern match');
+  passed++;
+} else {
+  console.log('❌ Aggressive mode missed matches:', aggressivePseudo);
+  failed++;
+}
+
+const aggressiveTypes = detectPII('BSN 123456789', { mode: 'aggressive' }).map(d => d.type);
+if (aggressiveTypes.includes('BSN') && detectPII('BSN 123456789', { mode: 'strict' }).length === 0) {
+  console.log('✅ detectPII follows the validation mode');
+  passed++;
+} else {
+  console.log('❌ detectPII ignored the validation mode:', aggressiveTypes);
+  failed++;
+}
+
+// The IBAN pattern's 4-character groups also match the next word ("... 7034 from");
+// the IBAN must still be found (strict) and the word must stay (both modes)
+const ibanSentences = [
+  ['Refund to BE68539007547034 from customer', 'Refund to ', ' from customer'],
+  ['IBAN BE68 5390 0754 7034 with note', 'IBAN ', ' with note'],
+  ['Pay NL91 ABNA 0417 1643 00 from now on', 'Pay ', ' from now on'],
+  ['Kosovo XK051212012345678906 from you', 'Kosovo ', ' from you'],  // No length on file: checksum decides
+];
+for (const mode of ['strict', 'aggressive']) {
+  for (const [input, before, after] of ibanSentences) {
+    const pseudonymizer = new PIIPseudonymizer({ mode });
+    const pseudo = pseudonymizer.pseudonymize(input);
+    const token = pseudo.slice(before.length, pseudo.length - after.length);
+    if (pseudo.startsWith(before) && pseudo.endsWith(after) && /^\[\[IBAN_1~[a-z]{5}\]\]$/.test(token) &&
+        pseudonymizer.depseudonymize(pseudo) === input) {
+      console.log(`✅ IBAN followed by a word is redacted without the word (${mode}): "${input}"`);
+      passed++;
+    } else {
+      console.log(`❌ IBAN followed by a word (${mode}): "${input}" → "${pseudo}"`);
+      failed++;
+    }
+  }
+}
+
 // ============================================================================
 // Summary
 // ============================================================================
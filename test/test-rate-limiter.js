@@ -0,0 +1,148 @@
+// test/test-rate-limiter.js - Sliding window, retry-after and persistence tests for rate-limiter.js
+// Time is faked by replacing Date.now; limits come from a temp config file (PROXY_CONFIG) and
+// call times go to a temp RATE_LIMIT_STATE_FILE, both read at import
+import fs from 'fs';
+import path from 'path';
+import { check, makeTempDir, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running rate limiter tests...\n');
+
+const tmpDir = makeTempDir('rate-limiter-test');
+const configFile = path.join(tmpDir, 'config.yaml');
+const stateFile = path.join(tmpDir, 'rate-limit-state.json');
+
+// Every server gets 2 calls per minute, 3 per hour and 4 per day
+fs.writeFileSync(configFile, 'rateLimits:\n  enforcement: block\n  default: { minute: 2, hour: 3, day: 4 }\n');
+process.env.PROXY_CONFIG = configFile;
+process.env.RATE_LIMIT_STATE_FILE = stateFile;
+delete process.env.RATE_LIMIT_ENFORCEMENT;
+delete process.env.RATE_LIMITS_FILE;
+
+const SECOND = 1_000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const T0 = Date.UTC(2025, 0, 15, 9, 0, 0);
+let now = T0;
+Date.now = () => now;
+const at = offset => {
+  now = T0 + offset;
+};
+
+silenceModuleLogs();
+
+let limiter = await import('../src/rate-limiter.js');
+
+function callAt(offset, tool) {
+  at(offset);
+  limiter.recordToolUse(tool);
+}
+
+// ============================================================================
+// Calls leave the minute / hour / day windows
+// ============================================================================
+
+console.log('📋 Window expiry:\n');
+{
+  const tool = 'mcp__alpha__search';
+  callAt(0, tool);
+  callAt(10 * SECOND, tool);
+  at(20 * SECOND);
+  check('Minute limit is reached', limiter.checkLimit(tool)?.window === 'minute', limiter.checkLimit(tool));
+  at(61 * SECOND);
+  check('Room again once the oldest call left the minute', limiter.checkLimit(tool) === null, limiter.checkLimit(tool));
+}
+{
+  const tool = 'mcp__beta__search';
+  callAt(0, tool);
+  callAt(2 * MINUTE, tool);
+  callAt(4 * MINUTE, tool);
+  at(5 * MINUTE);
+  check('Hour limit is reached', limiter.checkLimit(tool)?.window === 'hour', limiter.checkLimit(tool));
+  at(HOUR + SECOND);
+  check('Room again once the oldest call left the hour', limiter.checkLimit(tool) === null, limiter.checkLimit(tool));
+}
+{
+  const tool = 'mcp__gamma__search';
+  for (const hours of [0, 2, 4, 6]) callAt(hours * HOUR, tool);
+  at(7 * HOUR);
+  check('Day limit is reached', limiter.checkLimit(tool)?.window === 'day', limiter.checkLimit(tool));
+  at(DAY + SECOND);
+  check('Room again once the oldest call left the day', limiter.checkLimit(tool) === null, limiter.checkLimit(tool));
+  check('Calls older than a day are not counted', limiter.getStatsFor('gamma')?.day?.count === 3,
+    limiter.getStatsFor('gamma'));
+}
+limiter.resetLimits();
+
+// ============================================================================
+// retry-after: when the oldest call in the window leaves it
+// ============================================================================
+
+console.log('\n📋 Retry-after:\n');
+{
+  const tool = 'mcp__delta__search';
+  callAt(0, tool);
+  callAt(10 * SECOND, tool);
+  at(20 * SECOND);
+  const hit = limiter.checkLimit(tool);
+  check('Minute: wait for the oldest call, not the newest', hit?.retryAfterSeconds === 40, hit);
+  check('Limit details are reported', hit?.key === 'delta' && hit.limit === 2 && hit.count === 2, hit);
+}
+{
+  const tool = 'mcp__epsilon__search';
+  callAt(0, tool);
+  callAt(20 * MINUTE, tool);
+  callAt(40 * MINUTE, tool);
+  at(50 * MINUTE);
+  const hit = limiter.checkLimit(tool);
+  check('Hour: 10 minutes until the first call is an hour old', hit?.window === 'hour' &&
+    hit.retryAfterSeconds === 10 * 60, hit);
+}
+{
+  const tool = 'mcp__zeta__search';
+  for (const hours of [1, 3, 5, 7]) callAt(hours * HOUR, tool);
+  at(23 * HOUR);
+  const hit = limiter.checkLimit(tool);
+  check('Day: 2 hours until the first call is a day old', hit?.window === 'day' &&
+    hit.retryAfterSeconds === 2 * 60 * 60, hit);
+}
+{
+  const tool = 'mcp__eta__search';
+  callAt(0, tool);
+  callAt(1, tool);
+  at(MINUTE - 100);
+  check('retry-after is at least a second', limiter.checkLimit(tool)?.retryAfterSeconds === 1, limiter.checkLimit(tool));
+}
+limiter.resetLimits();
+
+// ============================================================================
+// State survives a restart
+// ============================================================================
+
+console.log('\n📋 Persistence:\n');
+{
+  const tool = 'mcp__theta__search';
+  for (const hours of [0, 2, 4, 6]) callAt(hours * HOUR, tool);
+  at(7 * HOUR);
+  limiter.saveRateLimitState();
+  check('State file is written', fs.existsSync(stateFile));
+
+  limiter = await import('../src/rate-limiter.js?restart=1');
+  const hit = limiter.checkLimit(tool);
+  check('Limit still applies after a restart', hit?.window === 'day' && hit.count === 4, hit);
+  check('retry-after is unchanged after a restart', hit?.retryAfterSeconds === 17 * 60 * 60, hit);
+
+  at(DAY + 3 * HOUR);
+  limiter = await import('../src/rate-limiter.js?restart=2');
+  check('Calls that expired while stopped are dropped on load',
+    limiter.getStatsFor('theta')?.day?.count === 2 && limiter.checkLimit(tool) === null, limiter.getStatsFor('theta'));
+}
+{
+  fs.writeFileSync(stateFile, '{"version":1,"calls":');
+  limiter = await import('../src/rate-limiter.js?restart=3');
+  check('Unreadable state file starts with empty counters', limiter.getStatsFor('theta') === null,
+    limiter.getStatsFor('theta'));
+}
+
+finish();
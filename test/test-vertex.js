@@ -0,0 +1,158 @@
+// test/test-vertex.js - Retry and region failover tests for vertex.js
+// The SDK client is replaced by a stub (setClientFactory) that plays a scripted outcome per call;
+// regions and retry settings come from env vars read at import
+import { EventEmitter } from 'events';
+import { APIError } from '@anthropic-ai/vertex-sdk/core/error';
+import { check, silenceModuleLogs, finish } from './helpers.js';
+
+console.log('🧪 Running Vertex AI failover tests...\n');
+
+// Two EU regions (plus one that must be ignored), 1 + 1 attempts each, ~1ms backoff
+process.env.VERTEX_REGIONS = 'europe-west1,us-east5,europe-west4';
+process.env.VERTEX_MAX_RETRIES = '1';
+process.env.VERTEX_RETRY_BASE_MS = '1';
+
+silenceModuleLogs();
+const { getRegions, setClientFactory, sendMessage, countTokens, streamMessage } = await import('../src/vertex.js');
+
+// Region → outcomes of its next calls (the last one repeats); calls lists the region of every call
+let script = {};
+let calls = [];
+
+function nextOutcome(region) {
+  calls.push(region);
+  const outcomes = script[region];
+  return outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+}
+
+function play(scripted) {
+  script = scripted;
+  calls = [];
+}
+
+// Streams play { events, error }: the events, then the error or the final message
+function stubStream({ events = [], error }) {
+  const stream = new EventEmitter();
+  stream.abort = () => {};
+  setImmediate(() => {
+    for (const event of events) stream.emit('streamEvent', event, {});
+    if (error) {
+      stream.emit('error', error);
+      return;
+    }
+    stream.emit('message', { id: 'msg_stream' });
+    stream.emit('end');
+  });
+  return stream;
+}
+
+setClientFactory(region => {
+  const respond = async () => {
+    const outcome = nextOutcome(region);
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+  return {
+    messages: {
+      create: respond,
+      countTokens: respond,
+      stream: () => stubStream(nextOutcome(region)),
+    },
+  };
+});
+
+const unavailable = () => new APIError(503, { error: { type: 'api_error', message: 'Unavailable' } }, 'Unavailable', new Headers());
+const overloaded = () => new APIError(529, { error: { type: 'overloaded_error', message: 'Overloaded' } }, 'Overloaded', new Headers());
+const invalid = () => new APIError(400, { error: { type: 'invalid_request_error', message: 'Bad' } }, 'Bad', new Headers());
+// Overloaded mid-stream arrives as an SSE error event, without an HTTP status
+const overloadedEvent = () => new APIError(undefined, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } },
+  'Overloaded', undefined);
+
+async function failure(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+// Everything the stream relayed, until its message or error
+function collect(stream) {
+  return new Promise((resolve) => {
+    const events = [];
+    stream.on('streamEvent', event => events.push(event));
+    stream.on('message', message => resolve({ events, message }));
+    stream.on('error', error => resolve({ events, error }));
+  });
+}
+
+check('Regions off the EU allowlist are ignored',
+  JSON.stringify(getRegions()) === '["europe-west1","europe-west4"]', getRegions());
+
+// ============================================================================
+// Requests (messages.create, count_tokens)
+// ============================================================================
+
+console.log('\n📋 Requests:\n');
+{
+  play({ 'europe-west1': [unavailable(), { id: 'msg_1' }] });
+  const { response, region } = await sendMessage({});
+  check('A retryable error is retried in the same region', response.id === 'msg_1' && region === 'europe-west1' &&
+    calls.length === 2, { region, calls });
+}
+{
+  play({ 'europe-west1': [invalid(), { id: 'msg_1' }] });
+  const err = await failure(sendMessage({}));
+  check('A non-retryable error stops at once', err?.status === 400 && err.region === 'europe-west1' &&
+    calls.length === 1, { status: err?.status, calls });
+}
+{
+  play({ 'europe-west1': [overloaded()], 'europe-west4': [{ input_tokens: 42 }] });
+  const { response, region } = await countTokens({});
+  check('Fails over once a region used up its retries', response.input_tokens === 42 && region === 'europe-west4' &&
+    JSON.stringify(calls) === '["europe-west1","europe-west1","europe-west4"]', { region, calls });
+}
+{
+  play({ 'europe-west1': [unavailable()], 'europe-west4': [overloaded()] });
+  const err = await failure(sendMessage({}));
+  check('The last error is thrown when every region failed', err?.status === 529 && err.region === 'europe-west4' &&
+    calls.length === 4, { status: err?.status, calls });
+}
+
+// ============================================================================
+// Streams
+// ============================================================================
+
+console.log('\n📋 Streams:\n');
+
+const start = { type: 'message_start', message: { id: 'msg_stream' } };
+const delta = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } };
+{
+  play({ 'europe-west1': [{ error: overloadedEvent() }, { events: [start, delta] }] });
+  const stream = streamMessage({});
+  const { events, message, error } = await collect(stream);
+  check('A stream that fails before its first event is retried', message?.id === 'msg_stream' && !error &&
+    events.length === 2 && calls.length === 2 && stream.region === 'europe-west1', { events, error, calls });
+}
+{
+  play({ 'europe-west1': [{ error: unavailable() }], 'europe-west4': [{ events: [start] }] });
+  const stream = streamMessage({});
+  const { message } = await collect(stream);
+  check('A stream fails over to the next region', message?.id === 'msg_stream' && stream.region === 'europe-west4' &&
+    calls.length === 3, { region: stream.region, calls });
+}
+{
+  play({ 'europe-west1': [{ events: [start, delta], error: overloadedEvent() }, { events: [start, delta] }] });
+  const stream = streamMessage({});
+  const { events, error } = await collect(stream);
+  check('A stream that fails mid-way is not retried', error?.error?.error?.type === 'overloaded_error' &&
+    events.length === 2 && calls.length === 1, { events, calls });
+}
+{
+  play({ 'europe-west1': [{ error: invalid() }] });
+  const { error } = await collect(streamMessage({}));
+  check('A stream with a non-retryable error stops at once', error?.status === 400 && calls.length === 1, calls);
+}
+
+finish();